@@ -0,0 +1,218 @@
+"use strict";
+
+const url = require('url');
+const _ = require('lodash');
+const when = require('when');
+const BadRequestError = require('./error').BadRequestError;
+const RequestHandler = require('./request-handler');
+
+/**
+ * Creates an Express middleware that routes requests to the CRUD and
+ * Subresource actions of the {{#crossLink "RestSequelize.RestAdapter"}}{{/crossLink}}.
+ *
+ * Requests that do not match any resource action are passed to the next
+ * middleware. The request body must be parsed by a body parser. The `context`
+ * option is a function creating the context of the adapter from the request.
+ *
+ * @method createRouter
+ * @for RestSequelize
+ * @param  {RestAdapter|RequestHandler} adapter
+ * @param  {Object}                     options `RequestHandler` options
+ * @return {Function}
+ */
+function createRouter(adapter, options) {
+	const handler = resolveHandler(adapter, options);
+
+	return function(req, res, next) {
+		if (!handler.match(req.method, req.path)) {
+			return next();
+		}
+
+		when.try(() => handler.handle({
+			method: req.method,
+			path: req.path,
+			query: req.query,
+			body: req.body,
+			headers: req.headers,
+			context: resolveContext(options, req)
+		})).then((response) => {
+			res.status(response.status).set(response.headers);
+
+			if (_.isUndefined(response.body)) {
+				return res.end();
+			}
+
+			return res.send(response.body);
+		}).catch(next);
+	};
+}
+
+/**
+ * Creates a request listener for the `http.createServer` method. The JSON
+ * request body is parsed by the listener.
+ *
+ * Available options, next to the `RequestHandler` ones:
+ *
+ *  - `prefix`:  path prefix that is removed before routing the request
+ *  - `context`: function creating the context of the adapter from the request
+ *
+ * @method createRequestListener
+ * @for RestSequelize
+ * @param  {RestAdapter|RequestHandler} adapter
+ * @param  {Object}                     options
+ * @return {Function}
+ */
+function createRequestListener(adapter, options) {
+	const handler = resolveHandler(adapter, options);
+	const prefix = _.trimEnd(_.get(options, 'prefix', ''), '/');
+
+	return function(req, res) {
+		const location = url.parse(req.url, true);
+		let path = location.pathname;
+
+		if (prefix && _.startsWith(path, prefix)) {
+			path = path.substring(prefix.length);
+		}
+
+		readBody(req).then((body) => {
+			return handler.handle({
+				method: req.method,
+				query: location.query,
+				headers: req.headers,
+				context: resolveContext(options, req),
+				path, body
+			});
+		}).catch((error) => handler.handleError(error)).then((response) => {
+			res.writeHead(response.status, response.headers);
+
+			if (_.isUndefined(response.body)) {
+				return res.end();
+			}
+
+			res.end(formatBody(response.body));
+		});
+	};
+}
+
+/**
+ * Creates a Koa middleware. Requests that do not match any resource
+ * action are passed to the next middleware. The request body must be
+ * parsed by a body parser, like `koa-bodyparser`. The `context` option is
+ * a function creating the context of the adapter from the Koa context.
+ *
+ * @method createKoaMiddleware
+ * @for RestSequelize
+ * @param  {RestAdapter|RequestHandler} adapter
+ * @param  {Object}                     options `RequestHandler` options
+ * @return {Function}
+ */
+function createKoaMiddleware(adapter, options) {
+	const handler = resolveHandler(adapter, options);
+
+	return function(ctx, next) {
+		if (!handler.match(ctx.method, ctx.path)) {
+			return next();
+		}
+
+		return handler.handle({
+			method: ctx.method,
+			path: ctx.path,
+			query: ctx.query,
+			body: ctx.request.body,
+			headers: ctx.headers,
+			context: resolveContext(options, ctx)
+		}).then((response) => {
+			ctx.status = response.status;
+			ctx.set(response.headers);
+
+			if (!_.isUndefined(response.body)) {
+				ctx.body = response.body;
+			}
+		});
+	};
+}
+
+/**
+ * Creates a Fastify plugin which registers a wildcard route handling
+ * all resource actions. Use the `prefix` option when registering
+ * the plugin to mount it under a path. The `context` option is a
+ * function creating the context of the adapter from the request.
+ *
+ * @method createFastifyPlugin
+ * @for RestSequelize
+ * @param  {RestAdapter|RequestHandler} adapter
+ * @param  {Object}                     options `RequestHandler` options
+ * @return {Function}
+ */
+function createFastifyPlugin(adapter, options) {
+	const handler = resolveHandler(adapter, options);
+
+	return function(fastify, opts, done) {
+		fastify.all('/*', (request, reply) => {
+			const raw = request.raw || request.req;
+
+			when.try(() => handler.handle({
+				method: request.method || raw.method,
+				path: '/' + request.params['*'],
+				query: request.query,
+				body: request.body,
+				headers: request.headers,
+				context: resolveContext(options, request)
+			})).catch((error) => handler.handleError(error)).then((response) => {
+				reply.code(response.status).headers(response.headers).send(response.body);
+			});
+		});
+
+		done();
+	};
+}
+
+function resolveHandler(adapter, options) {
+	if (adapter instanceof RequestHandler) {
+		return adapter;
+	}
+
+	return new RequestHandler(adapter, options);
+}
+
+// The `context` option is a function creating the context from the framework request
+function resolveContext(options, request) {
+	const context = _.get(options, 'context');
+	return _.isFunction(context) ? context(request) : undefined;
+}
+
+// Serializers can create String bodies, like CSV documents,
+// all other bodies are formatted as JSON.
+function formatBody(body) {
+	return _.isString(body) ? body : JSON.stringify(body);
+}
+
+// Reads and parses the JSON body of a Node.js request
+function readBody(req) {
+	return when.promise((resolve, reject) => {
+		const chunks = [];
+
+		req.on('data', (chunk) => chunks.push(chunk));
+		req.on('error', reject);
+		req.on('end', () => {
+			const body = Buffer.concat(chunks).toString('utf8');
+
+			if (_.isEmpty(body)) {
+				return resolve();
+			}
+
+			try {
+				resolve(JSON.parse(body));
+			} catch (e) {
+				reject(new BadRequestError('Could not parse the request body as JSON.'));
+			}
+		});
+	});
+}
+
+module.exports = {
+	createRouter,
+	createRequestListener,
+	createKoaMiddleware,
+	createFastifyPlugin
+};
@@ -0,0 +1,110 @@
+"use strict";
+
+const _ = require('lodash');
+const Serializer = require('./serializer');
+
+/**
+ * Serializer which creates CSV documents as described in
+ * [RFC 4180](https://tools.ietf.org/html/rfc4180).
+ *
+ * The header contains the attributes of the Model which are loaded in
+ * the records, associations are not serialized. Dates are formatted as
+ * ISO Strings and `null` values as empty fields.
+ *
+ * @class CSVSerializer
+ * @extends RestSequelize.Serializer
+ * @namespace RestSequelize
+ */
+class CSVSerializer extends Serializer {
+
+	/**
+	 * Serializes the records into a CSV String.
+	 *
+	 * @method serialize
+	 * @param  {RestAdapter}    adapter
+	 * @param  {String|Model}   type
+	 * @param  {Instance|Array} payload
+	 * @param  {Object}         meta    Not used by CSV documents
+	 * @param  {Number}         status  Not used by CSV documents
+	 * @param  {Object}         context
+	 * @return {String}
+	 */
+	serialize(adapter, type, payload, meta, status, context) {
+		const model = adapter.modelFor(type);
+		const records = _.compact(_.castArray(payload));
+		const columns = this.columnsFor(model, _.head(records));
+
+		return this.serializeHeader(columns) + _.map(records, (record) => this.serializeRow(record, columns, context)).join('');
+	}
+
+	/**
+	 * Resolves the columns of the CSV document. These are the attributes
+	 * of the Model, limited to the ones loaded in the record.
+	 *
+	 * @method columnsFor
+	 * @param  {Model}    model
+	 * @param  {Instance} record
+	 * @return {Array}
+	 */
+	columnsFor(model, record) {
+		const columns = _.keys(model.attributes);
+
+		if (!record) {
+			return columns;
+		}
+
+		return _.filter(columns, (column) => _.has(record.dataValues, column));
+	}
+
+	/**
+	 * Serializes the header line.
+	 *
+	 * @method serializeHeader
+	 * @param  {Array} columns
+	 * @return {String}
+	 */
+	serializeHeader(columns) {
+		return formatLine(columns);
+	}
+
+	/**
+	 * Serializes the line of a record.
+	 *
+	 * @method serializeRow
+	 * @param  {Instance} record
+	 * @param  {Array}    columns
+	 * @param  {Object}   context
+	 * @return {String}
+	 */
+	serializeRow(record, columns /*, context */) {
+		return formatLine(_.map(columns, (column) => record.get(column)));
+	}
+
+}
+
+function formatLine(values) {
+	return _.map(values, formatValue).join(',') + '\r\n';
+}
+
+// Quotes fields containing separators, quotes or line breaks
+function formatValue(value) {
+	if (_.isUndefined(value) || value === null) {
+		return '';
+	}
+
+	if (_.isDate(value)) {
+		value = value.toISOString();
+	} else if (_.isObject(value)) {
+		value = JSON.stringify(value);
+	}
+
+	value = String(value);
+
+	if (/[",\r\n]/.test(value)) {
+		return '"' + value.replace(/"/g, '""') + '"';
+	}
+
+	return value;
+}
+
+module.exports = CSVSerializer;
@@ -0,0 +1,203 @@
+"use strict";
+
+const _ = require('lodash');
+const BadRequestError = require('./error').BadRequestError;
+const parseSort = require('./sort').parseSort;
+const castValue = require('./filter').castValue;
+
+/**
+ * Creates the cursor used to find a page of records with the keyset
+ * pagination. The cursor contains the sort of the page, where the primary
+ * keys of the Model are added to make each sort position unique, the decoded
+ * sort values of the cursor received from the client and a `before` flag which
+ * is set when the page before these values is requested.
+ *
+ * Only attributes of the Model can be used to sort the records, as keyset
+ * conditions can not be created for associations. Attributes which contain
+ * `null` values should not be used.
+ *
+ * A `RestError` with status `400` is thrown for an invalid cursor or sort.
+ *
+ * @method createCursor
+ * @param  {Model}        model
+ * @param  {String|Array} sort
+ * @param  {String}       direction
+ * @param  {String}       value
+ * @return {Object}
+ */
+function createCursor(model, sort, direction, value) {
+	sort = parseSort(sort, direction);
+
+	_.each(sort, (entry) => {
+		if (!_.has(model.attributes, entry.path)) {
+			throw new BadRequestError(`Unknown attribute '${entry.path}' for '${model.name}' in cursor sort.`);
+		}
+	});
+
+	_.each(_.keys(model.primaryKeys), (path) => {
+		if (!_.find(sort, ['path', path])) {
+			sort.push({
+				path,
+				direction: 'ASC'
+			});
+		}
+	});
+
+	const decoded = decodeCursor(value);
+
+	if (decoded && decoded.values.length !== sort.length) {
+		throw new BadRequestError('Invalid cursor.');
+	}
+
+	const cursor = {
+		before: decoded ? decoded.before : false,
+		values: decoded ? _.map(decoded.values, (value, index) => castCursorValue(model, sort[index], value)) : null,
+		sort: _.map(sort, (entry) => _.clone(entry))
+	};
+
+	if (cursor.before) {
+		_.each(cursor.sort, (entry) => {
+			entry.direction = entry.direction === 'ASC' ? 'DESC' : 'ASC';
+		});
+	}
+
+	return cursor;
+}
+
+/**
+ * Builds the where query which only matches the records positioned
+ * after the cursor values in the cursor sort, combined with the `where`
+ * query of the request. Returns the `where` query as it is, when the
+ * cursor has no values.
+ *
+ * @method cursorWhere
+ * @param  {Object} cursor
+ * @param  {Object} where
+ * @return {Object}
+ */
+function cursorWhere(cursor, where) {
+	if (!cursor.values) {
+		return where;
+	}
+
+	const conditions = _.map(cursor.sort, (entry, index) => {
+		const condition = _.zipObject(_.map(_.take(cursor.sort, index), 'path'), _.take(cursor.values, index));
+
+		condition[entry.path] = {
+			[entry.direction === 'ASC' ? '$gt' : '$lt']: cursor.values[index]
+		};
+
+		return condition;
+	});
+
+	return {
+		$and: [where || {}, {
+			$or: conditions
+		}]
+	};
+}
+
+/**
+ * Creates the page from the records found with the cursor. The records
+ * should be found with a limit of one record more than the page size,
+ * to check if there is a next page.
+ *
+ * Returns an Object containing the `rows` of the page, and the encoded
+ * `nextCursor` and `prevCursor`, which are `null` when there is no page.
+ *
+ * @method paginate
+ * @param  {Object} cursor
+ * @param  {Array}  rows
+ * @param  {Number} size
+ * @return {Object}
+ */
+function paginate(cursor, rows, size) {
+	const more = rows.length > size;
+
+	rows = _.take(rows, size);
+
+	if (cursor.before) {
+		rows.reverse();
+	}
+
+	const sort = _.map(cursor.sort, 'path');
+	const first = _.head(rows);
+	const last = _.last(rows);
+	const hasNext = cursor.before ? !!cursor.values : more;
+	const hasPrev = cursor.before ? more : !!cursor.values;
+
+	return {
+		rows,
+		nextCursor: hasNext && last ? encodeCursor(_.map(sort, (path) => last.get(path)), false) : null,
+		prevCursor: hasPrev && first ? encodeCursor(_.map(sort, (path) => first.get(path)), true) : null
+	};
+}
+
+/**
+ * Encodes the sort values into an opaque, URL safe, cursor String.
+ *
+ * @method encodeCursor
+ * @param  {Array}   values
+ * @param  {Boolean} before
+ * @return {String}
+ */
+function encodeCursor(values, before) {
+	const json = JSON.stringify({
+		v: values,
+		b: before ? 1 : 0
+	});
+
+	return Buffer.from(json).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodes the cursor String received from the client. Returns `null`
+ * for an empty cursor, which is used to request the first page.
+ *
+ * A `RestError` with status `400` is thrown for an invalid cursor, or
+ * a cursor containing values which are not Strings, Numbers or Booleans.
+ *
+ * @method decodeCursor
+ * @param  {String} value
+ * @return {Object}
+ */
+function decodeCursor(value) {
+	if (_.isEmpty(value)) {
+		return null;
+	}
+
+	let decoded;
+
+	try {
+		decoded = JSON.parse(Buffer.from(String(value).replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString());
+	} catch (e) {
+		throw new BadRequestError('Invalid cursor.');
+	}
+
+	if (!_.isPlainObject(decoded) || !_.isArray(decoded.v) || !_.every(decoded.v, isScalar)) {
+		throw new BadRequestError('Invalid cursor.');
+	}
+
+	return {
+		values: decoded.v,
+		before: decoded.b === 1
+	};
+}
+
+// Null values are kept, as nullable columns can be part of the sort.
+function castCursorValue(model, entry, value) {
+	return _.isNil(value) ? null : castValue(model.attributes[entry.path], value);
+}
+
+// Checks if a decoded cursor value can be compared with an attribute
+function isScalar(value) {
+	return _.isNil(value) || _.isString(value) || _.isFinite(value) || _.isBoolean(value);
+}
+
+module.exports = {
+	createCursor,
+	cursorWhere,
+	paginate,
+	encodeCursor,
+	decodeCursor
+};
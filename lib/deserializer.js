@@ -16,13 +16,17 @@ class Deserializer {
 	 *
 	 * By default raw payload is returned.
 	 *
+	 * The `context` of the request is passed by the adapter, so that
+	 * custom implementations can make decisions per request.
+	 *
 	 * @method deserialize
 	 * @param  {RestAdapter} adapter
 	 * @param  {String}      type
 	 * @param  {Object}      payload
+	 * @param  {Object}      context
 	 * @return {Object}
 	 */
-	deserialize(adapter, type, payload) {
+	deserialize(adapter, type, payload /*, context */) {
 		return payload;
 	}
 }
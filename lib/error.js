@@ -1,26 +1,175 @@
 "use strict";
 
+const _ = require('lodash');
+const STATUS_CODES = require('http').STATUS_CODES;
+
 /**
  * Error class thrown by the {{#crossLink "RestSequelize.RestAdapet"}}{{/crossLink}}
  *
+ * The `type` and `instance` properties can be set to describe the problem
+ * in the output of the `toProblemJSON` method.
+ *
  * @class RestError
  * @extends {Error}
  * @constructor
  * @param {String} message
  * @param {Number} statusCode
+ * @param {Array}  errors     Field level errors, containing the `path`, `message` and `validator`
  */
 class RestError extends Error {
 
-	constructor(message, statusCode) {
+	constructor(message, statusCode, errors) {
 		super(message);
 
+		this.name = this.constructor.name;
 		this.message = message;
 		this.statusCode = statusCode || 500;
+		this.errors = errors || [];
 
 		Error.call(this, message);
-		Error.captureStackTrace(this, RestError);
+		Error.captureStackTrace(this, this.constructor);
+	}
+
+	/**
+	 * Creates a problem details object, as described in
+	 * [RFC 7807](https://tools.ietf.org/html/rfc7807), which can be sent
+	 * with the `application/problem+json` media type.
+	 *
+	 * The `type` defaults to `about:blank` and the `title` is the HTTP status
+	 * phrase. Field level `errors` and the given `members` are added as
+	 * extension members.
+	 *
+	 * @method toProblemJSON
+	 * @param  {Object} members Extension members
+	 * @return {Object}
+	 */
+	toProblemJSON(members) {
+		const problem = {
+			type: this.type || 'about:blank',
+			title: STATUS_CODES[this.statusCode] || 'Unknown Error',
+			status: this.statusCode,
+			detail: this.message
+		};
+
+		if (this.instance) {
+			problem.instance = this.instance;
+		}
+
+		if (!_.isEmpty(this.errors)) {
+			problem.errors = this.errors;
+		}
+
+		return _.assign(problem, members);
+	}
+
+}
+
+/**
+ * Error with the `400 Bad Request` status code.
+ *
+ * @class BadRequestError
+ * @extends RestSequelize.RestError
+ * @constructor
+ * @param {String} message
+ * @param {Array}  errors
+ */
+class BadRequestError extends RestError {
+
+	constructor(message, errors) {
+		super(message, 400, errors);
+	}
+
+}
+
+/**
+ * Error with the `403 Forbidden` status code.
+ *
+ * @class ForbiddenError
+ * @extends RestSequelize.RestError
+ * @constructor
+ * @param {String} message
+ * @param {Array}  errors
+ */
+class ForbiddenError extends RestError {
+
+	constructor(message, errors) {
+		super(message, 403, errors);
+	}
+
+}
+
+/**
+ * Error with the `404 Not Found` status code.
+ *
+ * @class NotFoundError
+ * @extends RestSequelize.RestError
+ * @constructor
+ * @param {String} message
+ * @param {Array}  errors
+ */
+class NotFoundError extends RestError {
+
+	constructor(message, errors) {
+		super(message, 404, errors);
+	}
+
+}
+
+/**
+ * Error with the `409 Conflict` status code.
+ *
+ * @class ConflictError
+ * @extends RestSequelize.RestError
+ * @constructor
+ * @param {String} message
+ * @param {Array}  errors
+ */
+class ConflictError extends RestError {
+
+	constructor(message, errors) {
+		super(message, 409, errors);
+	}
+
+}
+
+/**
+ * Error with the `412 Precondition Failed` status code.
+ *
+ * @class PreconditionFailedError
+ * @extends RestSequelize.RestError
+ * @constructor
+ * @param {String} message
+ * @param {Array}  errors
+ */
+class PreconditionFailedError extends RestError {
+
+	constructor(message, errors) {
+		super(message, 412, errors);
+	}
+
+}
+
+/**
+ * Error with the `422 Unprocessable Entity` status code.
+ *
+ * @class UnprocessableEntityError
+ * @extends RestSequelize.RestError
+ * @constructor
+ * @param {String} message
+ * @param {Array}  errors
+ */
+class UnprocessableEntityError extends RestError {
+
+	constructor(message, errors) {
+		super(message, 422, errors);
 	}
 
 }
 
-module.exports = RestError;
\ No newline at end of file
+module.exports = RestError;
+module.exports.BadRequestError = BadRequestError;
+module.exports.ForbiddenError = ForbiddenError;
+module.exports.NotFoundError = NotFoundError;
+module.exports.ConflictError = ConflictError;
+module.exports.PreconditionFailedError = PreconditionFailedError;
+module.exports.UnprocessableEntityError = UnprocessableEntityError;
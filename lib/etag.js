@@ -0,0 +1,263 @@
+"use strict";
+
+const _ = require('lodash');
+const crypto = require('crypto');
+const BadRequestError = require('./error').BadRequestError;
+const PreconditionFailedError = require('./error').PreconditionFailedError;
+
+/**
+ * Resolves the attribute holding the version of the Model records. This is the
+ * version column set by the `version` option of the Model, which is `version` when
+ * the option is `true`, or the `updatedAt` timestamp when the Model has none.
+ *
+ * @method versionAttribute
+ * @for RestSequelize
+ * @param  {Model} model
+ * @return {String}
+ */
+function versionAttribute(model) {
+	const version = model._versionAttribute || _.get(model, 'options.version');
+
+	if (version) {
+		const name = _.isString(version) ? version : 'version';
+
+		if (_.has(model.attributes, name)) {
+			return name;
+		}
+	}
+
+	return _.get(model, '_timestampAttributes.updatedAt');
+}
+
+/**
+ * Checks if the version column of the Model must be incremented by the
+ * library when a record is updated. Sequelize increments its own version
+ * column, and sets the `updatedAt` timestamp.
+ *
+ * @method incrementsVersion
+ * @for RestSequelize
+ * @param  {Model} model
+ * @return {Boolean}
+ */
+function incrementsVersion(model) {
+	const attribute = versionAttribute(model);
+	return !!attribute && !model._versionAttribute && attribute !== _.get(model, '_timestampAttributes.updatedAt');
+}
+
+/**
+ * Resolves the version of a record, timestamps are converted to
+ * milliseconds. Returns `undefined` when the record has no version.
+ *
+ * @method recordVersion
+ * @for RestSequelize
+ * @param  {Model}    model
+ * @param  {Instance} record
+ * @return {Number}
+ */
+function recordVersion(model, record) {
+	const attribute = versionAttribute(model);
+	const version = attribute ? record.get(attribute) : null;
+
+	if (_.isNil(version)) {
+		return;
+	}
+
+	return _.isDate(version) ? version.getTime() : version;
+}
+
+/**
+ * Creates the strong ETag of a record from its version. Returns
+ * `undefined` when the record has no version.
+ *
+ * @method recordETag
+ * @for RestSequelize
+ * @param  {Model}    model
+ * @param  {Instance} record
+ * @return {String}
+ */
+function recordETag(model, record) {
+	const version = recordVersion(model, record);
+	return _.isUndefined(version) ? undefined : `"${version}"`;
+}
+
+/**
+ * Checks if an ETag matches an `If-Match` header value, which is `*` or a list of
+ * ETags. The strong comparison is used, so weak ETags never match.
+ *
+ * @method matchETag
+ * @for RestSequelize
+ * @param  {String}  header
+ * @param  {String}  etag
+ * @return {Boolean}
+ */
+function matchETag(header, etag) {
+	return _.some(parseETags(header), (candidate) => {
+		return candidate === '*' || (!_.startsWith(candidate, 'W/') && candidate === etag);
+	});
+}
+
+/**
+ * Checks the preconditions of a write against the current state of the record.
+ * The `version` option is the expected version of the record, and the `ifMatch`
+ * option the value of an `If-Match` header. Timestamp versions can be passed as
+ * Dates, ISO Strings or milliseconds.
+ *
+ * A `RestError` with status `412` is thrown when a precondition fails, and `400`
+ * when preconditions are passed for a Model without a version.
+ *
+ * @method checkPrecondition
+ * @for RestSequelize
+ * @param  {Model}    model
+ * @param  {Instance} record
+ * @param  {Object}   options
+ */
+function checkPrecondition(model, record, options) {
+	const expected = _.get(options, 'version');
+	const ifMatch = _.get(options, 'ifMatch');
+
+	if (_.isNil(expected) && _.isNil(ifMatch)) {
+		return;
+	}
+
+	if (!versionAttribute(model)) {
+		throw new BadRequestError(`Model '${model.name}' does not support optimistic locking.`);
+	}
+
+	const version = recordVersion(model, record);
+
+	if (!_.isNil(expected) && normalizeVersion(expected) !== version) {
+		throw new PreconditionFailedError(`Model '${model.name}' has been modified by another request.`);
+	}
+
+	if (!_.isNil(ifMatch) && !matchETag(ifMatch, recordETag(model, record))) {
+		throw new PreconditionFailedError(`Model '${model.name}' has been modified by another request.`);
+	}
+}
+
+/**
+ * Creates a weak ETag for a list of records from their largest `updatedAt`
+ * timestamp and the number of records. Returns `undefined` when the Model
+ * has no `updatedAt` timestamp.
+ *
+ * The `representation` describes how the records are serialized, like the
+ * `mediaType`, `include` and `fields` options. A hash of it is added to the
+ * ETag, so each representation of the same records has its own ETag.
+ *
+ * @method weakETag
+ * @for RestSequelize
+ * @param  {Model}  model
+ * @param  {Array}  records
+ * @param  {Object} representation
+ * @return {String}
+ */
+function weakETag(model, records, representation) {
+	if (!_.has(model, '_timestampAttributes.updatedAt')) {
+		return;
+	}
+
+	const modified = lastModified(model, records);
+	const variant = _.omitBy(representation, _.isNil);
+	const suffix = _.isEmpty(variant) ? '' : '-' + crypto.createHash('sha1').update(JSON.stringify(variant)).digest('hex').substring(0, 8);
+
+	return `W/"${modified ? modified.getTime() : 0}-${records.length}${suffix}"`;
+}
+
+/**
+ * Creates a strong ETag from a SHA-1 hash of the serialized payload.
+ *
+ * @method strongETag
+ * @for RestSequelize
+ * @param  {Object|String} payload
+ * @return {String}
+ */
+function strongETag(payload) {
+	const content = _.isString(payload) ? payload : JSON.stringify(payload);
+	return `"${crypto.createHash('sha1').update(String(content)).digest('hex')}"`;
+}
+
+/**
+ * Resolves the largest `updatedAt` timestamp of the records. Returns
+ * `undefined` when the Model has no `updatedAt` timestamp or there
+ * are no records.
+ *
+ * @method lastModified
+ * @for RestSequelize
+ * @param  {Model} model
+ * @param  {Array} records
+ * @return {Date}
+ */
+function lastModified(model, records) {
+	const attribute = _.get(model, '_timestampAttributes.updatedAt');
+
+	if (!attribute) {
+		return;
+	}
+
+	return _.maxBy(_.compact(_.map(records, (record) => record.get(attribute))), (date) => date.getTime());
+}
+
+/**
+ * Checks if the data has not been modified since the client received it. The `ifNoneMatch`
+ * option is the value of an `If-None-Match` header, which is compared with the `etag` using
+ * the weak comparison. When it is not set, the `ifModifiedSince` option, the value of an
+ * `If-Modified-Since` header, is compared with the `lastModified` date in seconds.
+ *
+ * @method isNotModified
+ * @for RestSequelize
+ * @param  {Object}  validators `etag` and `lastModified` of the data
+ * @param  {Object}  options
+ * @return {Boolean}
+ */
+function isNotModified(validators, options) {
+	const ifNoneMatch = _.get(options, 'ifNoneMatch');
+	const ifModifiedSince = _.get(options, 'ifModifiedSince');
+
+	if (!_.isNil(ifNoneMatch)) {
+		return !!validators.etag && _.some(parseETags(ifNoneMatch), (candidate) => {
+			return candidate === '*' || weakTag(candidate) === weakTag(validators.etag);
+		});
+	}
+
+	if (!_.isNil(ifModifiedSince) && validators.lastModified) {
+		const since = _.isDate(ifModifiedSince) ? ifModifiedSince.getTime() : Date.parse(ifModifiedSince);
+		return !_.isNaN(since) && Math.floor(validators.lastModified.getTime() / 1000) <= Math.floor(since / 1000);
+	}
+
+	return false;
+}
+
+// Splits a header containing a list of ETags
+function parseETags(header) {
+	return _.compact(_.map(String(header).split(','), _.trim));
+}
+
+// Removes the weak indicator, used by the weak comparison
+function weakTag(etag) {
+	return _.startsWith(etag, 'W/') ? etag.substring(2) : etag;
+}
+
+// Converts an expected version into the format of `recordVersion`
+function normalizeVersion(version) {
+	if (_.isDate(version)) {
+		return version.getTime();
+	}
+
+	if (_.isString(version) && !/^\d+$/.test(version) && !_.isNaN(Date.parse(version))) {
+		return Date.parse(version);
+	}
+
+	return _.isString(version) ? Number(version) : version;
+}
+
+module.exports = {
+	versionAttribute,
+	incrementsVersion,
+	recordVersion,
+	recordETag,
+	matchETag,
+	checkPrecondition,
+	weakETag,
+	strongETag,
+	lastModified,
+	isNotModified
+};
@@ -0,0 +1,66 @@
+"use strict";
+
+const Readable = require('stream').Readable;
+const when = require('when');
+
+/**
+ * Readable stream which exports records in batches. Each batch is loaded
+ * with the `fetch` function, which receives the cursor of the batch and
+ * resolves with the `rows` and the `nextCursor`, like the `findByCursor`
+ * method of the {{#crossLink "RestSequelize.RestService"}}{{/crossLink}}.
+ * The rows are written using the `format` function, which receives the rows
+ * and a flag set for the first batch. The next batch is only loaded when
+ * the consumer of the stream reads more data.
+ *
+ * @class ExportStream
+ * @extends stream.Readable
+ * @namespace RestSequelize
+ * @constructor
+ * @param {String}   mediaType
+ * @param {Function} fetch
+ * @param {Function} format
+ */
+class ExportStream extends Readable {
+
+	constructor(mediaType, fetch, format) {
+		super();
+
+		this.mediaType = mediaType;
+		this._fetch = fetch;
+		this._format = format;
+		this._cursor = '';
+		this._first = true;
+		this._fetching = false;
+	}
+
+	_read() {
+		if (this._fetching) {
+			return;
+		}
+
+		this._fetching = true;
+
+		when.try(this._fetch, this._cursor).then((page) => {
+			const chunk = this._format(page.rows, this._first);
+
+			this._fetching = false;
+			this._first = false;
+			this._cursor = page.nextCursor;
+
+			const more = chunk.length ? this.push(chunk) : true;
+
+			if (!this._cursor) {
+				return this.push(null);
+			}
+
+			if (more) {
+				this._read();
+			}
+		}).catch((error) => {
+			this.emit('error', error);
+		});
+	}
+
+}
+
+module.exports = ExportStream;
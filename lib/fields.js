@@ -0,0 +1,144 @@
+"use strict";
+
+const _ = require('lodash');
+const BadRequestError = require('./error').BadRequestError;
+
+/**
+ * Parses the sparse fieldsets received from the client into an Object, where the
+ * key is the association path and the value a list of attribute names. Fields of
+ * the root Model are stored under an empty key.
+ *
+ * Fields can be passed as a comma separated String or an Array, like `id,name`, which
+ * are the fields of the root Model. Or as an Object where the key is the association
+ * path, like `{ tasks: 'id,type' }`. Keys matching the name of the root Model are
+ * considered as the root fields. Arrays mixing both forms, as they are parsed by
+ * Express from `fields=id,name&fields[tasks]=id,type`, are supported as well.
+ *
+ * @method parseFields
+ * @param  {Model}               model
+ * @param  {String|Array|Object} value
+ * @return {Object}
+ */
+function parseFields(model, value) {
+	const names = _.map([model.name, model.options.name.plural, model.tableName], _.toLower);
+
+	return _.reduce(_.castArray(value), (fields, entry) => {
+		if (!_.isPlainObject(entry)) {
+			entry = {
+				'': entry
+			};
+		}
+
+		_.each(entry, (list, path) => {
+			if (_.includes(names, path.toLowerCase()) || /^\d+$/.test(path)) {
+				path = '';
+			}
+
+			fields[path] = _.union(fields[path], parseList(list));
+		});
+
+		return fields;
+	}, {});
+}
+
+/**
+ * Applies the sparse fieldsets to the Sequelize query, by setting the `attributes`
+ * of the root Model and of each included association.
+ *
+ * Every field is checked against the Model attributes. The primary keys and the foreign
+ * keys needed to load the included associations are always added to the attributes.
+ *
+ * A `RestError` with status `400` is thrown for an unknown attribute, or for fields of
+ * an association that is not included.
+ *
+ * @method applyFields
+ * @param  {Model}               model
+ * @param  {Object}              query
+ * @param  {String|Array|Object} value
+ * @return {Object}
+ */
+function applyFields(model, query, value) {
+	if (_.isUndefined(value) || value === null) {
+		return query;
+	}
+
+	_.each(parseFields(model, value), (fields, path) => {
+		if (_.isEmpty(path)) {
+			query.attributes = resolveAttributes(model, fields, requiredAttributes(model));
+			return;
+		}
+
+		const entry = findInclude(model, query.include, path.split('.'));
+
+		if (!entry) {
+			throw new BadRequestError(`Fields for '${path}' require the association to be included.`);
+		}
+
+		const association = entry.association;
+		const required = requiredAttributes(association.target);
+
+		if (association.associationType !== 'BelongsTo' && association.associationType !== 'BelongsToMany') {
+			required.push(association.foreignKey);
+		}
+
+		entry.include.attributes = resolveAttributes(association.target, fields, required);
+	});
+
+	return query;
+}
+
+function parseList(list) {
+	if (_.isString(list)) {
+		list = list.split(',');
+	}
+
+	return _.compact(_.map(list, _.trim));
+}
+
+// Validates the fields and adds the required attributes
+function resolveAttributes(model, fields, required) {
+	_.each(fields, (field) => {
+		if (!_.has(model.attributes, field)) {
+			throw new BadRequestError(`Unknown attribute '${field}' for '${model.name}'.`);
+		}
+	});
+
+	return _.union(required, fields);
+}
+
+// Primary keys and foreign keys of `BelongsTo` associations of a Model
+function requiredAttributes(model) {
+	const keys = _.keys(model.primaryKeys);
+
+	_.each(model.associations, (association) => {
+		if (association.associationType === 'BelongsTo') {
+			keys.push(association.foreignKey);
+		}
+	});
+
+	return _.uniq(keys);
+}
+
+// Finds the include entry and its association for the association path
+function findInclude(model, include, segments) {
+	const name = _.head(segments).toLowerCase();
+	const entry = _.find(include, (entry) => _.isString(entry.as) && entry.as.toLowerCase() === name);
+
+	if (!entry) {
+		return;
+	}
+
+	if (segments.length > 1) {
+		return findInclude(entry.model, entry.include, _.tail(segments));
+	}
+
+	return {
+		association: model.associations[entry.as],
+		include: entry
+	};
+}
+
+module.exports = {
+	parseFields,
+	applyFields
+};
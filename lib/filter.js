@@ -0,0 +1,311 @@
+"use strict";
+
+const _ = require('lodash');
+const BadRequestError = require('./error').BadRequestError;
+
+/**
+ * Matches filters written as `attribute[operator]`, as they are
+ * received from a query string that is not parsed into nested Objects.
+ *
+ * @property FILTER_PATTERN
+ * @type {RegExp}
+ * @private
+ */
+const FILTER_PATTERN = /^([^\[\]]+)\[([^\[\]]+)\]$/;
+
+/**
+ * String representations of Boolean values.
+ *
+ * @property BOOLEANS
+ * @type {Object}
+ * @private
+ */
+const BOOLEANS = {
+	'true': true,
+	'1': true,
+	'false': false,
+	'0': false
+};
+
+/**
+ * Matches a `%` wildcard that is not escaped with a backslash.
+ *
+ * @property WILDCARD_PATTERN
+ * @type {RegExp}
+ * @private
+ */
+const WILDCARD_PATTERN = /(^|[^\\])(\\\\)*%/;
+
+/**
+ * Functions which convert the filter operator and its value into a
+ * Sequelize where condition. Functions can also return a Sequelize
+ * method, like a literal, which is added to the `$and` condition.
+ *
+ * @property OPERATORS
+ * @type {Object}
+ * @private
+ */
+const OPERATORS = {
+	eq(attribute, value, model) {
+		if (_.isArray(value)) {
+			return { $in: castList(attribute, value) };
+		}
+
+		if (_.isString(value) && WILDCARD_PATTERN.test(value)) {
+			return like(model, attribute, value);
+		}
+
+		if (_.isString(value)) {
+			value = value.replace(/\\([%_\\])/g, '$1');
+		}
+
+		return { $eq: castValue(attribute, value) };
+	},
+	like(attribute, value, model) {
+		checkValue(attribute, value);
+
+		return like(model, attribute, String(value));
+	},
+	ne(attribute, value) {
+		return { $ne: castValue(attribute, value) };
+	},
+	gt(attribute, value) {
+		return { $gt: castValue(attribute, value) };
+	},
+	gte(attribute, value) {
+		return { $gte: castValue(attribute, value) };
+	},
+	lt(attribute, value) {
+		return { $lt: castValue(attribute, value) };
+	},
+	lte(attribute, value) {
+		return { $lte: castValue(attribute, value) };
+	},
+	in(attribute, value) {
+		return { $in: castList(attribute, value) };
+	},
+	nin(attribute, value) {
+		return { $notIn: castList(attribute, value) };
+	},
+	null(attribute, value) {
+		if (!_.has(BOOLEANS, value)) {
+			throw new BadRequestError(`Operator 'null' for attribute '${attribute.fieldName}' requires a Boolean value.`);
+		}
+
+		return BOOLEANS[value] ? { $eq: null } : { $ne: null };
+	},
+	between(attribute, value) {
+		const values = castList(attribute, value);
+
+		if (values.length !== 2) {
+			throw new BadRequestError(`Operator 'between' for attribute '${attribute.fieldName}' requires two values.`);
+		}
+
+		return { $between: values };
+	}
+};
+
+/**
+ * Builds a Sequelize where query from the filters received from the client.
+ *
+ * Each filter is either an equality check, like `{ name: 'foo' }`, or an Object
+ * with operators and their values, like `{ age: { gt: '18' } }` or `{ 'age[gt]': '18' }`.
+ * Supported operators are `eq`, `ne`, `gt`, `gte`, `lt`, `lte`, `in`, `nin`,
+ * `null`, `between` and `like`. Operators `in`, `nin` and `between` accept an Array
+ * or a comma separated list of values.
+ *
+ * The `like` operator, or an equality check with a `%` wildcard, is a case insensitive
+ * pattern match. A literal `%` or `_` can be matched by escaping it with a backslash,
+ * see the `escapeLike` function.
+ *
+ * Every filter is checked against the Model attributes and its value is cast to
+ * the attribute data type. A `RestError` with status `400` is thrown for an
+ * unknown attribute, an unknown operator or a value that can not be cast.
+ *
+ * @method buildWhere
+ * @param  {Model}  model
+ * @param  {Object} filters
+ * @return {Object}
+ */
+function buildWhere(model, filters) {
+	const expressions = [];
+	const where = _.reduce(parseFilters(filters), (where, operators, name) => {
+		const attribute = model.attributes[name];
+
+		if (!attribute) {
+			throw new BadRequestError(`Unknown attribute '${name}' for '${model.name}'.`);
+		}
+
+		const condition = buildCondition(model, attribute, operators, expressions);
+
+		if (!_.isUndefined(condition)) {
+			where[name] = condition;
+		}
+
+		return where;
+	}, {});
+
+	if (!_.isEmpty(expressions)) {
+		where.$and = expressions;
+	}
+
+	return where;
+}
+
+/**
+ * Casts the value received from the client to the data type
+ * of the Model attribute. Numbers, Booleans and Dates are
+ * considered as already cast, any other value which is not
+ * a String throws a `RestError` with status `400`.
+ *
+ * @method castValue
+ * @param  {Object} attribute
+ * @param  {*}      value
+ * @return {*}
+ */
+function castValue(attribute, value) {
+	checkValue(attribute, value);
+
+	if (!_.isString(value)) {
+		return value;
+	}
+
+	let cast;
+
+	switch (attribute.type.key) {
+		case 'INTEGER':
+		case 'BIGINT':
+			cast = /^-?\d+$/.test(value) ? parseInt(value, 10) : NaN;
+			break;
+		case 'FLOAT':
+		case 'REAL':
+		case 'DOUBLE PRECISION':
+		case 'DECIMAL':
+			cast = _.trim(value) === '' ? NaN : Number(value);
+			break;
+		case 'BOOLEAN':
+			cast = _.has(BOOLEANS, value) ? BOOLEANS[value] : NaN;
+			break;
+		case 'DATE':
+		case 'DATEONLY':
+			cast = new Date(value);
+			cast = _.isNaN(cast.getTime()) ? NaN : cast;
+			break;
+		case 'ENUM':
+			cast = _.includes(attribute.values, value) ? value : NaN;
+			break;
+		default:
+			cast = value;
+	}
+
+	if (_.isNaN(cast)) {
+		throw new BadRequestError(`Invalid value '${value}' for attribute '${attribute.fieldName}'.`);
+	}
+
+	return cast;
+}
+
+// Groups the filters by the attribute name, where each attribute
+// contains an Object with operators and their values.
+function parseFilters(filters) {
+	return _.reduce(filters, (parsed, value, key) => {
+		const match = FILTER_PATTERN.exec(key);
+
+		if (match) {
+			key = match[1];
+			value = {
+				[match[2]]: value
+			};
+		} else if (!_.isPlainObject(value)) {
+			value = {
+				eq: value
+			};
+		}
+
+		parsed[key] = _.assign(parsed[key] || {}, value);
+
+		return parsed;
+	}, {});
+}
+
+/**
+ * Escapes the `%` and `_` wildcards, and the backslash itself, with
+ * a backslash so the value can be matched literally in a `like` filter.
+ *
+ * @method escapeLike
+ * @param  {String} value
+ * @return {String}
+ */
+function escapeLike(value) {
+	return String(value).replace(/[%_\\]/g, '\\$&');
+}
+
+// Builds the condition for an attribute, Sequelize methods
+// are added to the list of expressions.
+function buildCondition(model, attribute, operators, expressions) {
+	const condition = _.reduce(operators, (condition, value, operator) => {
+		if (!_.has(OPERATORS, operator)) {
+			throw new BadRequestError(`Unknown operator '${operator}' for attribute '${attribute.fieldName}'.`);
+		}
+
+		const result = OPERATORS[operator](attribute, value, model);
+
+		if (_.isPlainObject(result)) {
+			return _.assign(condition, result);
+		}
+
+		expressions.push(result);
+
+		return condition;
+	}, {});
+
+	if (_.isEmpty(condition)) {
+		return;
+	}
+
+	// use plain values for simple equality checks
+	if (_.size(condition) === 1 && _.has(condition, '$eq')) {
+		return condition.$eq;
+	}
+
+	return condition;
+}
+
+// Creates a case insensitive pattern match for the dialect used by the Model.
+// Postgres supports the `ILIKE` operator, other dialects compare lower cased
+// values. Backslash is used as an escape character in all dialects.
+function like(model, attribute, pattern) {
+	const sequelize = model.sequelize;
+
+	if (sequelize.options.dialect === 'postgres') {
+		return { $iLike: pattern };
+	}
+
+	const column = sequelize.getQueryInterface().quoteIdentifiers(`${model.name}.${attribute.field}`);
+	const value = sequelize.escape(pattern.toLowerCase());
+	const escape = sequelize.escape('\\');
+
+	return sequelize.literal(`LOWER(${column}) LIKE ${value} ESCAPE ${escape}`);
+}
+
+// Only scalar values are accepted, Objects parsed from the query
+// string must never reach Sequelize as operators or raw queries.
+function checkValue(attribute, value) {
+	if (!_.isString(value) && !_.isNumber(value) && !_.isBoolean(value) && !_.isDate(value)) {
+		throw new BadRequestError(`Invalid value for attribute '${attribute.fieldName}'.`);
+	}
+}
+
+function castList(attribute, value) {
+	if (_.isString(value)) {
+		value = value.split(',');
+	}
+
+	return _.map(_.castArray(value), (item) => castValue(attribute, item));
+}
+
+module.exports = {
+	buildWhere,
+	castValue,
+	escapeLike
+};
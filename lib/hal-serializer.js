@@ -0,0 +1,160 @@
+"use strict";
+
+const _ = require('lodash');
+const Serializer = require('./serializer');
+const links = require('./links');
+const recordId = require('./primary-key').recordId;
+
+/**
+ * Serializer which creates [HAL](http://stateless.co/hal_specification.html)
+ * documents with hypermedia links.
+ *
+ * Each record contains a `self` link and a link for each association of the Model,
+ * pointing to its subresources as they are served by the `findSubResources` method of
+ * the {{#crossLink "RestSequelize.RestAdapter"}}{{/crossLink}}. Records of included
+ * associations are added to the `_embedded` property, where the `self` link of each
+ * embedded record is its subresource URL, like `/users/1/tasks/2`.
+ *
+ * Lists are embedded under the name of the resource, and contain the meta and the
+ * `first`, `prev`, `next` and `last` links created from the paging meta of the `find`
+ * method of the {{#crossLink "RestSequelize.RestAdapter"}}{{/crossLink}}.
+ *
+ * Available options:
+ *
+ *  - `baseUrl`: URL prepended to all links, defaults to an empty String
+ *
+ * @class HALSerializer
+ * @extends RestSequelize.Serializer
+ * @namespace RestSequelize
+ * @constructor
+ * @param {Sequelize} sequelize
+ * @param {Object}    options
+ */
+class HALSerializer extends Serializer {
+
+	constructor(sequelize, options) {
+		super();
+
+		this.sequelize = sequelize;
+		this.options = _.defaults({}, options, {
+			baseUrl: ''
+		});
+	}
+
+	/**
+	 * Serializes the records into a HAL document.
+	 *
+	 * @method serialize
+	 * @param  {RestAdapter}    adapter
+	 * @param  {String|Model}   type
+	 * @param  {Instance|Array} payload
+	 * @param  {Object}         meta
+	 * @param  {Number}         status  Not used by HAL documents
+	 * @param  {Object}         context
+	 * @param  {Object}         query   Parameters of the list request, kept in the pagination links
+	 * @return {Object}
+	 */
+	serialize(adapter, type, payload, meta, status, context, query) {
+		const model = adapter.modelFor(type);
+
+		if (!_.isArray(payload)) {
+			return payload ? this.serializeResource(adapter, model, payload, undefined, context) : null;
+		}
+
+		const url = links.resourceUrl(adapter, this.options.baseUrl, model);
+		const document = _.assign({}, meta);
+
+		document._links = _.mapValues(_.assign({
+			self: url
+		}, links.paginationLinks(url, meta, query)), (href) => ({
+			href
+		}));
+
+		document._embedded = {
+			[this.keyForModel(adapter, model)]: _.map(payload, (record) => this.serializeResource(adapter, model, record, undefined, context))
+		};
+
+		return document;
+	}
+
+	/**
+	 * Serializes a record into a HAL resource. The `self` link is the
+	 * URL of the record, unless a different URL is passed.
+	 *
+	 * @method serializeResource
+	 * @param  {RestAdapter} adapter
+	 * @param  {Model}       model
+	 * @param  {Instance}    record
+	 * @param  {String}      self
+	 * @param  {Object}      context
+	 * @return {Object}
+	 */
+	serializeResource(adapter, model, record, self, context) {
+		const id = recordId(model, record);
+		const resource = _.pick(record.get({
+			plain: true
+		}), _.keys(model.attributes));
+		const embedded = {};
+
+		resource._links = {
+			self: {
+				href: self || links.resourceUrl(adapter, this.options.baseUrl, model, id)
+			}
+		};
+
+		_.each(model.associations, (association) => {
+			const name = this.keyForAssociation(association);
+			const href = links.resourceUrl(adapter, this.options.baseUrl, model, id, association);
+			const value = record.get(association.as);
+
+			resource._links[name] = {
+				href
+			};
+
+			if (_.isArray(value)) {
+				embedded[name] = _.map(value, (related) => {
+					const relatedId = recordId(association.target, related);
+					return this.serializeResource(adapter, association.target, related, `${href}/${encodeURIComponent(relatedId)}`, context);
+				});
+			} else if (value) {
+				embedded[name] = this.serializeResource(adapter, association.target, value, href, context);
+			} else if (value === null) {
+				embedded[name] = null;
+			}
+		});
+
+		if (!_.isEmpty(embedded)) {
+			resource._embedded = embedded;
+		}
+
+		return resource;
+	}
+
+	/**
+	 * Resolves the name under which a list of records is embedded, which is
+	 * the camel cased name resolved by the `normalizeTypeName` method of the Resolver.
+	 *
+	 * @method keyForModel
+	 * @param  {RestAdapter} adapter
+	 * @param  {Model}       model
+	 * @return {String}
+	 */
+	keyForModel(adapter, model) {
+		return _.camelCase(adapter.resolver.normalizeTypeName(model));
+	}
+
+	/**
+	 * Resolves the name of the link and the embedded records of an
+	 * association, which is the camel cased name of the association.
+	 *
+	 * @method keyForAssociation
+	 * @param  {Association} association
+	 * @return {String}
+	 */
+	keyForAssociation(association) {
+		return _.camelCase(association.as);
+	}
+
+}
+
+module.exports = HALSerializer;
@@ -0,0 +1,101 @@
+"use strict";
+
+const _ = require('lodash');
+const when = require('when');
+
+/**
+ * Names of the lifecycle hooks, which are run around the operations
+ * of the {{#crossLink "RestSequelize.RestAdapter"}}{{/crossLink}} and
+ * the {{#crossLink "RestSequelize.RestService"}}{{/crossLink}}.
+ *
+ * @property HOOKS
+ * @type {Array}
+ * @private
+ */
+const HOOKS = [
+	'beforeFind', 'afterFind',
+	'beforeCreate', 'afterCreate',
+	'beforeUpdate', 'afterUpdate',
+	'beforeDelete', 'afterDelete'
+];
+
+/**
+ * Normalizes an Object where the key is the hook name and the value a hook
+ * function or a list of them. Returns an Object containing a list of functions
+ * for each hook. An Error is thrown for unknown hook names.
+ *
+ * @method normalizeHooks
+ * @for RestSequelize
+ * @param  {Object} hooks
+ * @return {Object}
+ */
+function normalizeHooks(hooks) {
+	return _.reduce(hooks, (normalized, value, name) => {
+		checkHookName(name);
+
+		normalized[name] = _.map(_.castArray(value), (hook) => {
+			if (!_.isFunction(hook)) {
+				throw new TypeError(`Hook '${name}' must be a function.`);
+			}
+
+			return hook;
+		});
+
+		return normalized;
+	}, {});
+}
+
+/**
+ * Merges the normalized hooks, the hooks of the first Object are run first.
+ *
+ * @method mergeHooks
+ * @for RestSequelize
+ * @param  {Object} ...hooks
+ * @return {Object}
+ */
+function mergeHooks() {
+	return _.reduce(arguments, (merged, hooks) => {
+		_.each(hooks, (list, name) => {
+			merged[name] = (merged[name] || []).concat(list);
+		});
+
+		return merged;
+	}, {});
+}
+
+/**
+ * Runs the hooks with the given name one after another. Each hook is invoked with
+ * the Model, the query or payload, the transaction and the context of the request.
+ * Hooks can change the query or payload, or stop the operation by throwing an error,
+ * like a `RestError`. Hooks returning a Promise are waited for.
+ *
+ * Resolves with the query or payload.
+ *
+ * @method runHooks
+ * @for RestSequelize
+ * @param  {Object}      hooks       Normalized hooks
+ * @param  {String}      name        Name of the hook
+ * @param  {Model}       model
+ * @param  {Object}      data        Query or payload of the operation
+ * @param  {Transaction} transaction
+ * @param  {Object}      context
+ * @return {Promise}
+ */
+function runHooks(hooks, name, model, data, transaction, context) {
+	return _.reduce(_.get(hooks, name), (promise, hook) => {
+		return promise.then(() => hook(model, data, transaction, context));
+	}, when.resolve()).then(() => data);
+}
+
+// Hooks must be one of the supported names
+function checkHookName(name) {
+	if (!_.includes(HOOKS, name)) {
+		throw new Error(`Unknown hook '${name}'.`);
+	}
+}
+
+module.exports = {
+	normalizeHooks,
+	mergeHooks,
+	runHooks
+};
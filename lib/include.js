@@ -0,0 +1,98 @@
+"use strict";
+
+const _ = require('lodash');
+const BadRequestError = require('./error').BadRequestError;
+
+/**
+ * Parses the list of association paths received from the client. Paths
+ * can be passed as an Array or a comma separated String, like `tasks,tasks.user`.
+ *
+ * @method parseInclude
+ * @param  {String|Array} value
+ * @return {Array}
+ */
+function parseInclude(value) {
+	if (_.isString(value)) {
+		value = value.split(',');
+	}
+
+	return _.compact(_.map(_.castArray(value), (path) => {
+		return _.isString(path) ? _.trim(path) : path;
+	}));
+}
+
+/**
+ * Builds a nested Sequelize include tree from a list of association paths,
+ * where each path segment is matched case insensitively against the name of
+ * the association. For example `tasks.user` would include the `Tasks` of a
+ * `User` and the `User` of each `Task`.
+ *
+ * Entries that are not Strings are considered as Sequelize include
+ * Objects and are added as they are.
+ *
+ * A `RestError` with status `400` is thrown for an unknown association.
+ *
+ * @method buildInclude
+ * @param  {Model}        model
+ * @param  {String|Array} paths
+ * @return {Array}
+ */
+function buildInclude(model, paths) {
+	return _.reduce(parseInclude(paths), (include, path) => {
+		if (_.isString(path)) {
+			addPath(model, include, path.split('.'), path);
+		} else {
+			include.push(path);
+		}
+
+		return include;
+	}, []);
+}
+
+/**
+ * Finds the association of a Model by its name. Names
+ * are compared case insensitively.
+ *
+ * @method findAssociation
+ * @param  {Model}  model
+ * @param  {String} name
+ * @return {Association}
+ */
+function findAssociation(model, name) {
+	return _.find(model.associations, (association) => {
+		return _.isString(association.as) && association.as.toLowerCase() === String(name).toLowerCase();
+	});
+}
+
+// Adds the include entry for each path segment,
+// reusing the entries of already included associations.
+function addPath(model, include, segments, path) {
+	const name = _.head(segments);
+	const association = findAssociation(model, name);
+
+	if (!association) {
+		throw new BadRequestError(`Unknown association '${name}' for '${model.name}' in include '${path}'.`);
+	}
+
+	let entry = _.find(include, (entry) => entry.as === association.as);
+
+	if (!entry) {
+		entry = {
+			model: association.target,
+			as: association.as
+		};
+
+		include.push(entry);
+	}
+
+	if (segments.length > 1) {
+		entry.include = entry.include || [];
+		addPath(association.target, entry.include, _.tail(segments), path);
+	}
+}
+
+module.exports = {
+	parseInclude,
+	buildInclude,
+	findAssociation
+};
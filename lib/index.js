@@ -1,9 +1,19 @@
 const _ = require('lodash');
 const RestService = require('./rest-service');
 const Resolver = require('./resolver');
+const RestError = require('./error');
 const RestAdapter = require('./rest-adapter');
 const Serializer = require('./serializer');
 const Deserializer = require('./deserializer');
+const Policy = require('./policy');
+const JSONAPISerializer = require('./jsonapi-serializer');
+const JSONAPIDeserializer = require('./jsonapi-deserializer');
+const HALSerializer = require('./hal-serializer');
+const CSVSerializer = require('./csv-serializer');
+const ExportStream = require('./export-stream');
+const RequestHandler = require('./request-handler');
+const bindings = require('./bindings');
+const filter = require('./filter');
 
 /**
  * Rest Sequelize namespace
@@ -17,11 +27,36 @@ const Deserializer = require('./deserializer');
 const RestSequelize = {};
 
 // Expose Classes to the Namespace
-RestSequelize.RestService  = RestService;
-RestSequelize.RestAdapter  = RestAdapter;
-RestSequelize.Serializer   = Serializer;
-RestSequelize.Deserializer = Deserializer;
-RestSequelize.Resolver     = Resolver;
+RestSequelize.RestService         = RestService;
+RestSequelize.RestAdapter         = RestAdapter;
+RestSequelize.Serializer          = Serializer;
+RestSequelize.Deserializer        = Deserializer;
+RestSequelize.Policy              = Policy;
+RestSequelize.JSONAPISerializer   = JSONAPISerializer;
+RestSequelize.JSONAPIDeserializer = JSONAPIDeserializer;
+RestSequelize.HALSerializer       = HALSerializer;
+RestSequelize.CSVSerializer       = CSVSerializer;
+RestSequelize.ExportStream        = ExportStream;
+RestSequelize.Resolver            = Resolver;
+RestSequelize.RequestHandler      = RequestHandler;
+
+// Expose Errors to the Namespace
+RestSequelize.RestError                = RestError;
+RestSequelize.BadRequestError          = RestError.BadRequestError;
+RestSequelize.ForbiddenError           = RestError.ForbiddenError;
+RestSequelize.NotFoundError            = RestError.NotFoundError;
+RestSequelize.ConflictError            = RestError.ConflictError;
+RestSequelize.PreconditionFailedError  = RestError.PreconditionFailedError;
+RestSequelize.UnprocessableEntityError = RestError.UnprocessableEntityError;
+
+// Expose factories to the Namespace
+RestSequelize.createRouter          = bindings.createRouter;
+RestSequelize.createRequestListener = bindings.createRequestListener;
+RestSequelize.createKoaMiddleware   = bindings.createKoaMiddleware;
+RestSequelize.createFastifyPlugin   = bindings.createFastifyPlugin;
+
+// Expose filter helpers to the Namespace
+RestSequelize.escapeLike = filter.escapeLike;
 
 // Give a nice toString method :)
 (function giveToString(keys) {
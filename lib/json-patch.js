@@ -0,0 +1,236 @@
+"use strict";
+
+const _ = require('lodash');
+const BadRequestError = require('./error').BadRequestError;
+const ConflictError = require('./error').ConflictError;
+const UnprocessableEntityError = require('./error').UnprocessableEntityError;
+
+/**
+ * Operations of a JSON Patch document, which change the document
+ * for the parsed `path` and `from` pointers and return it.
+ *
+ * @property OPERATIONS
+ * @type {Object}
+ * @private
+ */
+const OPERATIONS = {
+	add(document, operation) {
+		return addValue(document, operation.path, operation.value);
+	},
+	remove(document, operation) {
+		return removeValue(document, operation.path);
+	},
+	replace(document, operation) {
+		return addValue(removeValue(document, operation.path), operation.path, operation.value);
+	},
+	move(document, operation) {
+		if (_.isEqual(operation.from, _.take(operation.path, operation.from.length)) && operation.path.length > operation.from.length) {
+			throw new BadRequestError(`Can not move '${formatPointer(operation.from)}' into one of its children.`);
+		}
+
+		const value = getValue(document, operation.from);
+
+		return addValue(removeValue(document, operation.from), operation.path, value);
+	},
+	copy(document, operation) {
+		return addValue(document, operation.path, _.cloneDeep(getValue(document, operation.from)));
+	},
+	test(document, operation) {
+		if (!_.isEqual(getValue(document, operation.path), operation.value)) {
+			throw new ConflictError(`Test operation failed for path '${formatPointer(operation.path)}'.`);
+		}
+
+		return document;
+	}
+};
+
+/**
+ * Members required by each operation, next to the `op` and `path`.
+ *
+ * @property MEMBERS
+ * @type {Object}
+ * @private
+ */
+const MEMBERS = {
+	add: ['value'],
+	replace: ['value'],
+	test: ['value'],
+	move: ['from'],
+	copy: ['from']
+};
+
+/**
+ * Parses and validates a JSON Patch document, as described in
+ * [RFC 6902](https://tools.ietf.org/html/rfc6902). The `path` and
+ * `from` pointers of each operation are parsed into a list of tokens.
+ *
+ * A `RestError` with status `400` is thrown for an invalid document.
+ *
+ * @method parsePatch
+ * @for RestSequelize
+ * @param  {Array} operations
+ * @return {Array}
+ */
+function parsePatch(operations) {
+	if (!_.isArray(operations)) {
+		throw new BadRequestError('JSON Patch must be an array of operations.');
+	}
+
+	return _.map(operations, (operation) => {
+		if (!_.isPlainObject(operation) || !_.has(OPERATIONS, operation.op)) {
+			throw new BadRequestError(`Unknown JSON Patch operation '${_.get(operation, 'op')}'.`);
+		}
+
+		_.each(['path'].concat(MEMBERS[operation.op] || []), (member) => {
+			if (!_.has(operation, member)) {
+				throw new BadRequestError(`Missing '${member}' member of the '${operation.op}' operation.`);
+			}
+		});
+
+		const parsed = _.assign({}, operation, {
+			path: parsePointer(operation.path)
+		});
+
+		if (_.has(operation, 'from')) {
+			parsed.from = parsePointer(operation.from);
+		}
+
+		return parsed;
+	});
+}
+
+/**
+ * Applies the operations of a JSON Patch document, parsed by `parsePatch`,
+ * to a copy of the given document and returns it.
+ *
+ * A `RestError` with status `400` is thrown for an invalid array index, `422` for a path
+ * which does not exist in the document and `409` when a `test` operation fails.
+ *
+ * @method applyPatch
+ * @for RestSequelize
+ * @param  {Object} document
+ * @param  {Array}  operations
+ * @return {Object}
+ */
+function applyPatch(document, operations) {
+	return _.reduce(operations, (document, operation) => {
+		return OPERATIONS[operation.op](document, operation);
+	}, _.cloneDeep(document));
+}
+
+/**
+ * Parses a JSON Pointer, as described in [RFC 6901](https://tools.ietf.org/html/rfc6901),
+ * into a list of unescaped tokens. An empty pointer references the whole document.
+ *
+ * @method parsePointer
+ * @for RestSequelize
+ * @param  {String} pointer
+ * @return {Array}
+ */
+function parsePointer(pointer) {
+	if (!_.isString(pointer) || (pointer !== '' && pointer.charAt(0) !== '/')) {
+		throw new BadRequestError(`Invalid JSON Pointer '${pointer}'.`);
+	}
+
+	if (pointer === '') {
+		return [];
+	}
+
+	return _.map(pointer.substring(1).split('/'), (token) => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Formats a list of tokens into a JSON Pointer.
+ *
+ * @method formatPointer
+ * @for RestSequelize
+ * @param  {Array} tokens
+ * @return {String}
+ */
+function formatPointer(tokens) {
+	return _.map(tokens, (token) => '/' + String(token).replace(/~/g, '~0').replace(/\//g, '~1')).join('');
+}
+
+function getValue(document, tokens) {
+	return _.reduce(tokens, (value, token, index) => {
+		const key = resolveKey(value, token, tokens.slice(0, index + 1), false);
+
+		if (_.isUndefined(key)) {
+			throw new UnprocessableEntityError(`Path '${formatPointer(tokens)}' does not exist.`);
+		}
+
+		return value[key];
+	}, document);
+}
+
+function addValue(document, tokens, value) {
+	if (_.isEmpty(tokens)) {
+		return value;
+	}
+
+	const parent = getValue(document, _.initial(tokens));
+	const key = resolveKey(parent, _.last(tokens), tokens, true);
+
+	if (_.isUndefined(key)) {
+		throw new UnprocessableEntityError(`Path '${formatPointer(tokens)}' does not exist.`);
+	}
+
+	if (_.isArray(parent)) {
+		parent.splice(key, 0, value);
+	} else {
+		parent[key] = value;
+	}
+
+	return document;
+}
+
+function removeValue(document, tokens) {
+	if (_.isEmpty(tokens)) {
+		return null;
+	}
+
+	const parent = getValue(document, _.initial(tokens));
+	const key = resolveKey(parent, _.last(tokens), tokens, false);
+
+	if (_.isUndefined(key)) {
+		throw new UnprocessableEntityError(`Path '${formatPointer(tokens)}' does not exist.`);
+	}
+
+	if (_.isArray(parent)) {
+		parent.splice(key, 1);
+	} else {
+		delete parent[key];
+	}
+
+	return document;
+}
+
+// Resolves the key of a token in an Object or an Array. Arrays accept
+// indexes without leading zeros, and the `-` token or the length when
+// adding a value. Returns `undefined` when the key can not be used.
+function resolveKey(container, token, tokens, adding) {
+	if (_.isArray(container)) {
+		if (adding && token === '-') {
+			return container.length;
+		}
+
+		if (!/^(0|[1-9][0-9]*)$/.test(token)) {
+			throw new BadRequestError(`Invalid array index '${token}' in path '${formatPointer(tokens)}'.`);
+		}
+
+		const index = parseInt(token, 10);
+
+		return index < container.length || (adding && index === container.length) ? index : undefined;
+	}
+
+	if (_.isPlainObject(container) && (adding || _.has(container, token))) {
+		return token;
+	}
+}
+
+module.exports = {
+	parsePatch,
+	applyPatch,
+	parsePointer,
+	formatPointer
+};
@@ -0,0 +1,123 @@
+"use strict";
+
+const _ = require('lodash');
+const Deserializer = require('./deserializer');
+const BadRequestError = require('./error').BadRequestError;
+const ConflictError = require('./error').ConflictError;
+const findAssociation = require('./include').findAssociation;
+const parseId = require('./primary-key').parseId;
+
+/**
+ * Deserializer which accepts [JSON:API](http://jsonapi.org) documents.
+ *
+ * The `attributes` of the resource object are used as the Model attributes,
+ * and the `relationships` are converted into the association data persisted
+ * by the {{#crossLink "RestSequelize.RestService"}}{{/crossLink}}. A `BelongsTo`
+ * relationship with a `null` linkage clears the foreign key.
+ *
+ * A `RestError` with status `400` is thrown for an invalid document, an unknown
+ * relationship or a resource identifier which does not match the type of the
+ * related Model, and with status `409` when the resource type does not match
+ * the type of the Model.
+ *
+ * @class JSONAPIDeserializer
+ * @extends RestSequelize.Deserializer
+ * @namespace RestSequelize
+ */
+class JSONAPIDeserializer extends Deserializer {
+
+	/**
+	 * Deserializes the JSON:API document into the Model data.
+	 *
+	 * @method deserialize
+	 * @param  {RestAdapter}  adapter
+	 * @param  {String|Model} type
+	 * @param  {Object}       payload
+	 * @param  {Object}       context
+	 * @return {Object}
+	 */
+	deserialize(adapter, type, payload /*, context */) {
+		const model = adapter.modelFor(type);
+		const resource = payload && payload.data;
+
+		if (!_.isPlainObject(resource) || !_.isString(resource.type)) {
+			throw new BadRequestError('Payload must be a JSON:API document containing a resource object.');
+		}
+
+		const expected = this.typeForModel(adapter, model);
+
+		if (resource.type !== expected) {
+			throw new ConflictError(`Resource type '${resource.type}' does not match '${expected}'.`);
+		}
+
+		const data = _.mapKeys(resource.attributes, (value, key) => this.attributeForKey(key));
+
+		if (!_.isUndefined(resource.id)) {
+			_.assign(data, parseId(model, resource.id));
+		}
+
+		_.each(resource.relationships, (relationship, name) => {
+			const association = findAssociation(model, name);
+
+			if (!association) {
+				throw new BadRequestError(`Unknown relationship '${name}' for '${expected}'.`);
+			}
+
+			if (!_.isPlainObject(relationship) || !_.has(relationship, 'data')) {
+				throw new BadRequestError(`Relationship '${name}' must contain a resource linkage.`);
+			}
+
+			const linkage = relationship.data;
+
+			if (_.isArray(linkage)) {
+				data[association.as] = _.map(linkage, (identifier) => parseIdentifier(this, adapter, association, name, identifier));
+			} else if (!_.isNull(linkage)) {
+				data[association.as] = parseIdentifier(this, adapter, association, name, linkage);
+			} else if (association.associationType === 'BelongsTo') {
+				data[association.foreignKey] = null;
+			}
+		});
+
+		return data;
+	}
+
+	/**
+	 * Resolves the resource type of a Model, which is the dasherized
+	 * name resolved by the `normalizeTypeName` method of the Resolver.
+	 *
+	 * @method typeForModel
+	 * @param  {RestAdapter} adapter
+	 * @param  {Model}       model
+	 * @return {String}
+	 */
+	typeForModel(adapter, model) {
+		return _.kebabCase(adapter.resolver.normalizeTypeName(model));
+	}
+
+	/**
+	 * Resolves the attribute name of a member name. By default
+	 * the member name is used.
+	 *
+	 * @method attributeForKey
+	 * @param  {String} key
+	 * @return {String}
+	 */
+	attributeForKey(key) {
+		return key;
+	}
+
+}
+
+// Parses the id of a resource identifier in a relationship linkage,
+// which must be an Object with the type of the related Model.
+function parseIdentifier(deserializer, adapter, association, name, identifier) {
+	const expected = deserializer.typeForModel(adapter, association.target);
+
+	if (!_.isPlainObject(identifier) || identifier.type !== expected || _.isNil(identifier.id)) {
+		throw new BadRequestError(`Relationship '${name}' must contain resource identifiers of type '${expected}'.`);
+	}
+
+	return parseId(association.target, identifier.id);
+}
+
+module.exports = JSONAPIDeserializer;
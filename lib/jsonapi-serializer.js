@@ -0,0 +1,291 @@
+"use strict";
+
+const _ = require('lodash');
+const STATUS_CODES = require('http').STATUS_CODES;
+const Serializer = require('./serializer');
+const links = require('./links');
+const recordId = require('./primary-key').recordId;
+
+/**
+ * Serializer which creates [JSON:API](http://jsonapi.org) documents.
+ *
+ * Each record is serialized as a resource object, where the foreign keys
+ * and the associations of the Model are serialized as `relationships`. The
+ * records of included associations are added to the `included` list of the
+ * document, each record only once. Meta created by the `find` method of the
+ * {{#crossLink "RestSequelize.RestAdapter"}}{{/crossLink}} is added to the
+ * document together with the pagination `links`.
+ *
+ * Available options:
+ *
+ *  - `baseUrl`: URL prepended to all links, defaults to an empty String
+ *
+ * @class JSONAPISerializer
+ * @extends RestSequelize.Serializer
+ * @namespace RestSequelize
+ * @constructor
+ * @param {Sequelize} sequelize
+ * @param {Object}    options
+ */
+class JSONAPISerializer extends Serializer {
+
+	constructor(sequelize, options) {
+		super();
+
+		this.sequelize = sequelize;
+		this.options = _.defaults({}, options, {
+			baseUrl: ''
+		});
+	}
+
+	/**
+	 * Serializes the records into a JSON:API document.
+	 *
+	 * @method serialize
+	 * @param  {RestAdapter}    adapter
+	 * @param  {String|Model}   type
+	 * @param  {Instance|Array} payload
+	 * @param  {Object}         meta
+	 * @param  {Number}         status  Not used by JSON:API documents
+	 * @param  {Object}         context
+	 * @param  {Object}         query   Parameters of the list request, kept in the pagination links
+	 * @return {Object}
+	 */
+	serialize(adapter, type, payload, meta, status, context, query) {
+		const model = adapter.modelFor(type);
+		const included = new Map();
+		const document = {};
+
+		if (_.isArray(payload)) {
+			const url = links.resourceUrl(adapter, this.options.baseUrl, model);
+
+			document.data = _.map(payload, (record) => this.serializeResource(adapter, model, record, included, context));
+			document.links = _.assign({
+				self: url
+			}, links.paginationLinks(url, meta, query));
+		} else if (payload) {
+			document.data = this.serializeResource(adapter, model, payload, included, context);
+			document.links = {
+				self: document.data.links.self
+			};
+		} else {
+			document.data = null;
+		}
+
+		_.each(_.castArray(document.data), (resource) => {
+			if (resource) {
+				included.delete(`${resource.type}:${resource.id}`);
+			}
+		});
+
+		if (included.size) {
+			document.included = Array.from(included.values());
+		}
+
+		if (!_.isEmpty(meta)) {
+			document.meta = meta;
+		}
+
+		return document;
+	}
+
+	/**
+	 * Serializes a record into a resource object. Records of the loaded
+	 * associations are added to the `included` Map, keyed by their type and id.
+	 *
+	 * @method serializeResource
+	 * @param  {RestAdapter} adapter
+	 * @param  {Model}       model
+	 * @param  {Instance}    record
+	 * @param  {Map}         included
+	 * @param  {Object}      context
+	 * @return {Object}
+	 */
+	serializeResource(adapter, model, record, included, context) {
+		const id = String(recordId(model, record));
+		const keys = foreignKeys(model).concat(_.keys(model.primaryKeys));
+		const attributes = {};
+		const relationships = {};
+
+		_.each(model.attributes, (attribute, name) => {
+			if (!_.includes(keys, name) && _.has(record.dataValues, name)) {
+				attributes[this.keyForAttribute(name)] = record.get(name);
+			}
+		});
+
+		_.each(model.associations, (association) => {
+			const relationship = {
+				links: {
+					related: links.resourceUrl(adapter, this.options.baseUrl, model, id, association)
+				}
+			};
+
+			const value = record.get(association.as);
+
+			if (!_.isUndefined(value)) {
+				relationship.data = this.serializeLinkage(adapter, association.target, value, included, context);
+			} else if (association.associationType === 'BelongsTo' && _.has(record.dataValues, association.foreignKey)) {
+				relationship.data = this.serializeIdentifier(adapter, association.target, record.get(association.foreignKey));
+			}
+
+			relationships[this.keyForRelationship(association)] = relationship;
+		});
+
+		const resource = {
+			type: this.typeForModel(adapter, model),
+			id,
+			attributes
+		};
+
+		if (!_.isEmpty(relationships)) {
+			resource.relationships = relationships;
+		}
+
+		resource.links = {
+			self: links.resourceUrl(adapter, this.options.baseUrl, model, id)
+		};
+
+		return resource;
+	}
+
+	/**
+	 * Serializes the resource linkage of loaded associated
+	 * records, and adds them to the `included` Map.
+	 *
+	 * @method serializeLinkage
+	 * @param  {RestAdapter}    adapter
+	 * @param  {Model}          model
+	 * @param  {Instance|Array} value
+	 * @param  {Map}            included
+	 * @param  {Object}         context
+	 * @return {Object|Array}
+	 */
+	serializeLinkage(adapter, model, value, included, context) {
+		if (_.isArray(value)) {
+			return _.map(value, (record) => this.serializeLinkage(adapter, model, record, included, context));
+		}
+
+		if (!value) {
+			return null;
+		}
+
+		const resource = this.serializeResource(adapter, model, value, included, context);
+		const key = `${resource.type}:${resource.id}`;
+
+		if (!included.has(key)) {
+			included.set(key, resource);
+		}
+
+		return {
+			type: resource.type,
+			id: resource.id
+		};
+	}
+
+	/**
+	 * Serializes a resource identifier object from the primary key.
+	 *
+	 * @method serializeIdentifier
+	 * @param  {RestAdapter} adapter
+	 * @param  {Model}       model
+	 * @param  {Mixed}       id
+	 * @return {Object}
+	 */
+	serializeIdentifier(adapter, model, id) {
+		if (_.isUndefined(id) || id === null) {
+			return null;
+		}
+
+		return {
+			type: this.typeForModel(adapter, model),
+			id: String(id)
+		};
+	}
+
+	/**
+	 * Serializes an Error into a JSON:API document containing an error object. Messages
+	 * of server errors are not exposed to the client. The field level `errors` of a
+	 * `RestError` are serialized as one error object each, pointing to the attribute.
+	 *
+	 * @method serializeError
+	 * @param  {Error} error
+	 * @return {Object}
+	 */
+	serializeError(error) {
+		const status = error.statusCode || 500;
+
+		if (status < 500 && !_.isEmpty(error.errors)) {
+			return {
+				errors: _.map(error.errors, (item) => {
+					const serialized = {
+						status: String(status),
+						title: STATUS_CODES[status],
+						detail: item.message,
+						source: {
+							pointer: `/data/attributes/${this.keyForAttribute(item.path)}`
+						}
+					};
+
+					if (item.validator) {
+						serialized.code = item.validator;
+					}
+
+					return serialized;
+				})
+			};
+		}
+
+		return {
+			errors: [{
+				status: String(status),
+				title: STATUS_CODES[status],
+				detail: status < 500 ? error.message : 'Internal Server Error'
+			}]
+		};
+	}
+
+	/**
+	 * Resolves the resource type of a Model, which is the dasherized
+	 * name resolved by the `normalizeTypeName` method of the Resolver.
+	 *
+	 * @method typeForModel
+	 * @param  {RestAdapter} adapter
+	 * @param  {Model}       model
+	 * @return {String}
+	 */
+	typeForModel(adapter, model) {
+		return _.kebabCase(adapter.resolver.normalizeTypeName(model));
+	}
+
+	/**
+	 * Resolves the member name of an attribute. By default
+	 * the attribute name is used.
+	 *
+	 * @method keyForAttribute
+	 * @param  {String} name
+	 * @return {String}
+	 */
+	keyForAttribute(name) {
+		return name;
+	}
+
+	/**
+	 * Resolves the member name of a relationship, which is the
+	 * camel cased name of the association, like `tasks`.
+	 *
+	 * @method keyForRelationship
+	 * @param  {Association} association
+	 * @return {String}
+	 */
+	keyForRelationship(association) {
+		return _.camelCase(association.as);
+	}
+
+}
+
+// Foreign keys of the `BelongsTo` associations, serialized as relationships
+function foreignKeys(model) {
+	return _.map(_.filter(model.associations, ['associationType', 'BelongsTo']), 'foreignKey');
+}
+
+module.exports = JSONAPISerializer;
@@ -0,0 +1,135 @@
+"use strict";
+
+const _ = require('lodash');
+
+/**
+ * Builds the URL of a resource, matching the paths routed by the
+ * {{#crossLink "RestSequelize.RequestHandler"}}{{/crossLink}}. When the `id`
+ * is defined the URL of the record is returned, and when the `association`
+ * is defined the URL of its subresources.
+ *
+ * @method resourceUrl
+ * @param  {RestAdapter} adapter
+ * @param  {String}      baseUrl
+ * @param  {Model}       model
+ * @param  {String}      id
+ * @param  {Association} association
+ * @return {String}
+ */
+function resourceUrl(adapter, baseUrl, model, id, association) {
+	const segments = [adapter.resolver.normalizeTypeName(model).toLowerCase()];
+
+	if (!_.isUndefined(id) && id !== null) {
+		segments.push(id);
+	}
+
+	if (association) {
+		segments.push(association.as.toLowerCase());
+	}
+
+	return _.trimEnd(baseUrl || '', '/') + '/' + _.map(segments, (segment) => encodeURIComponent(segment)).join('/');
+}
+
+/**
+ * Builds the `first`, `prev`, `next` and `last` links of a list from the
+ * meta created by the `find` method of the {{#crossLink "RestSequelize.RestAdapter"}}{{/crossLink}}.
+ * Links are built from the `page`, `totalPages` and `pageSize` meta, or from the
+ * `nextCursor` and `prevCursor` meta for the keyset pagination. Links which
+ * do not exist for the current page are not added.
+ *
+ * The `query` contains the parameters of the list request, like the filters and the
+ * `sort`, which are kept in each link. Only the `page` or the `cursor` is replaced.
+ *
+ * @method paginationLinks
+ * @param  {String} url
+ * @param  {Object} meta
+ * @param  {Object} query
+ * @return {Object}
+ */
+function paginationLinks(url, meta, query) {
+	const links = {};
+
+	if (!meta) {
+		return links;
+	}
+
+	query = _.omit(query, ['page', 'cursor']);
+
+	if (_.has(meta, 'nextCursor') || _.has(meta, 'prevCursor')) {
+		links.first = pageUrl(url, {
+			cursor: ''
+		}, query);
+
+		if (meta.prevCursor) {
+			links.prev = pageUrl(url, {
+				cursor: meta.prevCursor
+			}, query);
+		}
+
+		if (meta.nextCursor) {
+			links.next = pageUrl(url, {
+				cursor: meta.nextCursor
+			}, query);
+		}
+
+		return links;
+	}
+
+	if (!_.isNumber(meta.page) || !_.isNumber(meta.totalPages)) {
+		return links;
+	}
+
+	const size = meta.pageSize;
+	const last = Math.max(meta.totalPages, 1);
+
+	links.first = pageUrl(url, {
+		page: 1, size
+	}, query);
+
+	if (meta.page > 1) {
+		links.prev = pageUrl(url, {
+			page: Math.min(meta.page - 1, last), size
+		}, query);
+	}
+
+	if (meta.page < last) {
+		links.next = pageUrl(url, {
+			page: meta.page + 1, size
+		}, query);
+	}
+
+	links.last = pageUrl(url, {
+		page: last, size
+	}, query);
+
+	return links;
+}
+
+// Builds the URL of a page, the page parameters are added before the parameters of the query
+function pageUrl(url, params, query) {
+	const pairs = [];
+
+	_.each(_.assign({}, _.omitBy(params, _.isNil), query), (value, key) => appendParam(pairs, key, value));
+
+	return `${url}?${pairs.join('&')}`;
+}
+
+// Nested Objects are encoded with brackets, like `fields[tasks]=id`, and Arrays as repeated parameters
+function appendParam(pairs, key, value) {
+	if (_.isPlainObject(value)) {
+		return _.each(value, (nested, name) => appendParam(pairs, `${key}[${name}]`, nested));
+	}
+
+	if (_.isArray(value)) {
+		return _.each(value, (item) => appendParam(pairs, key, item));
+	}
+
+	if (!_.isNil(value)) {
+		pairs.push(`${encodeURIComponent(key)}=${encodeURIComponent(value)}`);
+	}
+}
+
+module.exports = {
+	resourceUrl,
+	paginationLinks
+};
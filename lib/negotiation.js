@@ -0,0 +1,58 @@
+"use strict";
+
+const _ = require('lodash');
+
+/**
+ * Parses the `Accept` header into a list of media ranges, ordered by their
+ * quality. Ranges with the same quality keep the order of the header, and
+ * ranges with a quality of `0` are not acceptable and are left out.
+ *
+ * @method parseAccept
+ * @param  {String} header
+ * @return {Array}
+ */
+function parseAccept(header) {
+	const ranges = _.map(String(header || '*/*').split(','), (value, index) => {
+		const params = value.split(';');
+		const range = {
+			type: _.trim(params.shift()).toLowerCase(),
+			quality: 1,
+			index
+		};
+
+		_.each(params, (param) => {
+			const pair = param.split('=');
+
+			if (_.trim(pair[0]).toLowerCase() === 'q') {
+				range.quality = parseFloat(pair[1]);
+			}
+		});
+
+		return range;
+	});
+
+	return _.map(_.orderBy(_.filter(ranges, (range) => {
+		return !_.isEmpty(range.type) && range.quality > 0;
+	}), ['quality', 'index'], ['desc', 'asc']), 'type');
+}
+
+/**
+ * Checks if the media type matches the media range, which
+ * can contain wildcards like `application/*` or `*\/*`.
+ *
+ * @method matchMediaType
+ * @param  {String} range
+ * @param  {String} mediaType
+ * @return {Boolean}
+ */
+function matchMediaType(range, mediaType) {
+	const expected = range.split('/');
+	const actual = mediaType.toLowerCase().split('/');
+
+	return (expected[0] === '*' || expected[0] === actual[0]) && (expected[1] === '*' || expected[1] === actual[1]);
+}
+
+module.exports = {
+	parseAccept,
+	matchMediaType
+};
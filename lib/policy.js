@@ -0,0 +1,103 @@
+"use strict";
+
+/**
+ * Policy Class used to authorize the actions of the
+ * {{#crossLink "RestSequelize.RestAdapter"}}{{/crossLink}}
+ * on a resource.
+ *
+ * Each `can` method is invoked before the action is run and
+ * returns a Boolean, or a Promise resolving with one. When access is
+ * not granted, the action is rejected with a `ForbiddenError`. The
+ * `context` of the request is passed as the last argument.
+ *
+ * By default all actions are allowed.
+ *
+ * @class Policy
+ * @namespace RestSequelize
+ */
+class Policy {
+
+	/**
+	 * Checks if the records of the resource can be listed,
+	 * used by the `find`, `export` and `findSubResources` methods.
+	 *
+	 * @method canFind
+	 * @param  {Object}  context
+	 * @return {Boolean|Promise}
+	 */
+	canFind(/* context */) {
+		return true;
+	}
+
+	/**
+	 * Checks if a single record can be read, used by the `findById` and
+	 * `findSubResourceById` methods. Subresources of a record can only
+	 * be accessed when the record can be read.
+	 *
+	 * @method canRead
+	 * @param  {Number}  id
+	 * @param  {Object}  context
+	 * @return {Boolean|Promise}
+	 */
+	canRead(/* id, context */) {
+		return true;
+	}
+
+	/**
+	 * Checks if a record can be created from the deserialized data.
+	 *
+	 * @method canCreate
+	 * @param  {Object}  data
+	 * @param  {Object}  context
+	 * @return {Boolean|Promise}
+	 */
+	canCreate(/* data, context */) {
+		return true;
+	}
+
+	/**
+	 * Checks if a record can be updated with the deserialized data, or
+	 * the JSON Patch operations. Restoring a record is checked without data.
+	 *
+	 * @method canUpdate
+	 * @param  {Number}       id
+	 * @param  {Object|Array} data
+	 * @param  {Object}       context
+	 * @return {Boolean|Promise}
+	 */
+	canUpdate(/* id, data, context */) {
+		return true;
+	}
+
+	/**
+	 * Checks if a record can be deleted. Subresources are deleted
+	 * by an id or a `where` query.
+	 *
+	 * @method canDelete
+	 * @param  {Number|Object} id
+	 * @param  {Object}        context
+	 * @return {Boolean|Promise}
+	 */
+	canDelete(/* id, context */) {
+		return true;
+	}
+
+	/**
+	 * Limits the query used to list the records, for example by adding
+	 * conditions to its `where` clause. Returns the query, or a Promise
+	 * resolving with it. Only the lists of the `find`, `export` and
+	 * `findSubResources` methods are scoped, single records are not, so
+	 * the `canRead`, `canUpdate` and `canDelete` methods must check them.
+	 *
+	 * @method scope
+	 * @param  {Object} query
+	 * @param  {Object} context
+	 * @return {Object|Promise}
+	 */
+	scope(query /*, context */) {
+		return query;
+	}
+
+}
+
+module.exports = Policy;
@@ -0,0 +1,119 @@
+"use strict";
+
+const _ = require('lodash');
+const BadRequestError = require('./error').BadRequestError;
+
+/**
+ * Delimiter of the values in a composite primary key, like `1~2`.
+ *
+ * @property KEY_DELIMITER
+ * @type {String}
+ * @private
+ */
+const KEY_DELIMITER = '~';
+
+/**
+ * Resolves the primary key attributes of the Model, which are
+ * more than one for composite primary keys.
+ *
+ * @method primaryKeyAttributes
+ * @for RestSequelize
+ * @param  {Model} model
+ * @return {Array}
+ */
+function primaryKeyAttributes(model) {
+	return _.isEmpty(model.primaryKeyAttributes) ? [model.primaryKeyAttribute || 'id'] : model.primaryKeyAttributes;
+}
+
+/**
+ * Converts the id of a record into a `where` query of its primary key. The id of a
+ * composite primary key is an Object containing the value of each key attribute, or
+ * a String where the values are delimited with a `~`, in the order of the attributes.
+ *
+ * A `RestError` with status `400` is thrown when a value of the primary key is missing.
+ *
+ * @method parseId
+ * @for RestSequelize
+ * @param  {Model}                model
+ * @param  {Number|String|Object} id
+ * @return {Object}
+ */
+function parseId(model, id) {
+	const attributes = primaryKeyAttributes(model);
+	let values;
+
+	if (_.isPlainObject(id)) {
+		values = _.map(attributes, (attribute) => id[attribute]);
+	} else {
+		values = attributes.length === 1 ? [id] : String(id).split(KEY_DELIMITER);
+	}
+
+	if (values.length !== attributes.length || _.some(values, (value) => _.isNil(value) || value === '')) {
+		throw new BadRequestError(`Invalid id '${formatId(id)}' for model '${model.name}', expected values for '${attributes.join(KEY_DELIMITER)}'.`);
+	}
+
+	return _.zipObject(attributes, values);
+}
+
+/**
+ * Resolves the id of a record or data Object. Composite primary keys are joined
+ * into a String delimited with a `~`, which can be parsed by the `parseId` function.
+ * Returns `undefined` when a value of the primary key is missing.
+ *
+ * @method recordId
+ * @for RestSequelize
+ * @param  {Model}           model
+ * @param  {Instance|Object} record
+ * @return {Number|String}
+ */
+function recordId(model, record) {
+	const values = _.values(primaryKeyValues(model, record));
+
+	if (_.some(values, _.isNil)) {
+		return;
+	}
+
+	return values.length === 1 ? values[0] : values.join(KEY_DELIMITER);
+}
+
+/**
+ * Picks the values of the primary key attributes from a record or data Object.
+ *
+ * @method primaryKeyValues
+ * @for RestSequelize
+ * @param  {Model}           model
+ * @param  {Instance|Object} record
+ * @return {Object}
+ */
+function primaryKeyValues(model, record) {
+	return _.reduce(primaryKeyAttributes(model), (values, attribute) => {
+		values[attribute] = _.isFunction(record.get) ? record.get(attribute) : record[attribute];
+		return values;
+	}, {});
+}
+
+/**
+ * Checks if the data contains a value for each primary key attribute.
+ *
+ * @method hasPrimaryKey
+ * @for RestSequelize
+ * @param  {Model}   model
+ * @param  {Object}  data
+ * @return {Boolean}
+ */
+function hasPrimaryKey(model, data) {
+	return !_.isNil(recordId(model, data));
+}
+
+// Formats an id for the error messages
+function formatId(id) {
+	return _.isPlainObject(id) ? JSON.stringify(id) : id;
+}
+
+module.exports = {
+	primaryKeyAttributes,
+	parseId,
+	recordId,
+	primaryKeyValues,
+	hasPrimaryKey
+};
@@ -0,0 +1,467 @@
+"use strict";
+
+const _ = require('lodash');
+const when = require('when');
+const NotFoundError = require('./error').NotFoundError;
+
+/**
+ * Query parameters which are used for paging and sorting,
+ * all other parameters are considered as a `where` query.
+ *
+ * @property PAGEABLE
+ * @type {Array}
+ * @private
+ */
+const PAGEABLE = ['page', 'size', 'sort', 'order', 'cursor'];
+
+/**
+ * Query parameters which are passed as options to the adapter.
+ *
+ * @property OPTIONS
+ * @type {Array}
+ * @private
+ */
+const OPTIONS = ['include', 'fields', 'withDeleted', 'onlyDeleted'];
+
+/**
+ * Options which are passed as Booleans. The query parameter sets the
+ * option when it is present, unless its value is `false`.
+ *
+ * @property FLAGS
+ * @type {Array}
+ * @private
+ */
+const FLAGS = ['withDeleted', 'onlyDeleted'];
+
+/**
+ * Actions which respond to conditional requests.
+ *
+ * @property CONDITIONAL
+ * @type {Array}
+ * @private
+ */
+const CONDITIONAL = ['find', 'findById'];
+
+/**
+ * Routing table, where each HTTP method contains a list of actions
+ * indexed by the number of path segments minus one. Segments are
+ * matched as `/:type/:id/:sub/:subId`.
+ *
+ * @property ROUTES
+ * @type {Object}
+ * @private
+ */
+const ROUTES = {
+	GET: ['find', 'findById', 'findSubResources', 'findSubResourceById'],
+	POST: ['create', null, 'restore'],
+	PUT: [null, 'replace', 'createSubResources'],
+	PATCH: ['bulkUpdate', 'patch'],
+	DELETE: ['bulkDelete', 'delete', 'deleteSubResources', 'deleteSubResources']
+};
+
+/**
+ * Actions which are routed under a fixed path segment instead of
+ * a subresource, like `POST /:type/:id/restore`.
+ *
+ * @property SEGMENTS
+ * @type {Object}
+ * @private
+ */
+const SEGMENTS = {
+	restore: 'restore'
+};
+
+/**
+ * Former action names which can still be used in the `actions` option. The
+ * `update` action routed `PUT` requests before they replaced the record.
+ *
+ * @property ACTION_ALIASES
+ * @type {Object}
+ * @private
+ */
+const ACTION_ALIASES = {
+	update: 'replace'
+};
+
+/**
+ * Response status codes for actions that do not respond with `200`.
+ *
+ * @property STATUS_CODES
+ * @type {Object}
+ * @private
+ */
+const STATUS_CODES = {
+	create: 201,
+	delete: 204,
+	deleteSubResources: 204
+};
+
+/**
+ * Functions which invoke the matching `RestAdapter` method for each action.
+ *
+ * @property ACTIONS
+ * @type {Object}
+ * @private
+ */
+const ACTIONS = {
+	find(adapter, route, request) {
+		return adapter.find(route.type, resolveQuery(request), resolvePageable(request), resolveOptions(request), request.context);
+	},
+	findById(adapter, route, request) {
+		return adapter.findById(route.type, route.id, resolveOptions(request), request.context);
+	},
+	create(adapter, route, request) {
+		if (_.isArray(request.body)) {
+			return adapter.bulkCreate(route.type, request.body, resolveBulkOptions(request), request.context);
+		}
+
+		return adapter.create(route.type, request.body, resolveOptions(request), request.context);
+	},
+	bulkUpdate(adapter, route, request) {
+		return adapter.bulkUpdate(route.type, request.body, resolveBulkOptions(request), request.context);
+	},
+	replace(adapter, route, request) {
+		return adapter.replace(route.type, route.id, request.body, resolveOptions(request), request.context);
+	},
+	patch(adapter, route, request) {
+		if (isJSONPatch(request)) {
+			return adapter.applyPatch(route.type, route.id, request.body, resolveOptions(request), request.context);
+		}
+
+		return adapter.patch(route.type, route.id, request.body, resolveOptions(request), request.context);
+	},
+	delete(adapter, route, request) {
+		return adapter.delete(route.type, route.id, _.assign(resolveOptions(request), {
+			force: isFlagSet(request.query, 'force')
+		}), request.context);
+	},
+	restore(adapter, route, request) {
+		return adapter.restore(route.type, route.id, resolveOptions(request), request.context);
+	},
+	bulkDelete(adapter, route, request) {
+		return adapter.bulkDelete(route.type, request.body, resolveBulkOptions(request), request.context);
+	},
+	findSubResources(adapter, route, request) {
+		return adapter.findSubResources(route.type, route.id, route.sub, resolveOptions(request), request.context);
+	},
+	findSubResourceById(adapter, route, request) {
+		return adapter.findSubResourceById(route.type, route.id, route.sub, route.subId, resolveOptions(request), request.context);
+	},
+	createSubResources(adapter, route, request) {
+		return adapter.createSubResources(route.type, route.id, route.sub, request.body, resolveOptions(request), request.context);
+	},
+	deleteSubResources(adapter, route, request) {
+		const query = _.isUndefined(route.subId) ? resolveQuery(request) : route.subId;
+		return adapter.deleteSubResources(route.type, route.id, route.sub, query, request.context);
+	}
+};
+
+/**
+ * Framework agnostic request handler, which routes a normalized request
+ * to the matching {{#crossLink "RestSequelize.RestAdapter"}}{{/crossLink}}
+ * method and returns a normalized response.
+ *
+ * A request is an Object with the `method`, `path`, `query`, `body`, `headers`
+ * and optional `context` properties, where the `context` is passed as the last
+ * argument of the adapter methods. A response is an Object containing the
+ * `status`, `headers` and `body` properties. The `include` and `fields` query
+ * parameters are passed as options when finding, creating or updating records,
+ * and the `withDeleted` and `onlyDeleted` flags when finding soft deleted records.
+ * The `force` flag is passed when deleting a record, and soft deleted records are
+ * restored with `POST /:type/:id/restore`.
+ *
+ * Records are written in bulk by sending a list to the collection: `POST` creates,
+ * `PATCH` updates and `DELETE` deletes the records, see the `bulkCreate` method
+ * of the adapter. The `partial` query parameter is passed as the `partial` option.
+ *
+ * The media type of the response is negotiated from the `Accept` header
+ * using the `negotiate` method of the adapter, and is passed as the
+ * `mediaType` option. Unsupported media types are rejected with a `406`.
+ * The `If-Match` header is passed as the `ifMatch` option, which is checked
+ * by the `optimisticLocking` option of the adapter.
+ *
+ * With the `conditional` option, records are found with conditional requests, where
+ * the `If-None-Match` and `If-Modified-Since` headers are passed to the adapter, and
+ * the `ETag` and `Last-Modified` headers are set on the response. See the `findById`
+ * method of the adapter.
+ *
+ * Each Model is routed under the name resolved by the `normalizeTypeName`
+ * method of the {{#crossLink "RestSequelize.Resolver"}}{{/crossLink}}, for
+ * example `User` Model would be routed under `/users`.
+ *
+ * Available options:
+ *
+ *  - `include`: list of resource names that should be routed, defaults to all
+ *  - `exclude`: list of resource names that should not be routed
+ *  - `actions`: list of actions exposed by all resources, or an Object where
+ *               the key is the resource name and the value list of its actions.
+ *               The former `update` action is an alias of `replace`
+ *  - `conditional`: type of the ETags used for conditional requests, `strong` or `weak`
+ *
+ * @class RequestHandler
+ * @namespace RestSequelize
+ * @constructor
+ * @param {RestAdapter} adapter
+ * @param {Object}      options
+ */
+class RequestHandler {
+
+	constructor(adapter, options) {
+		if (_.isUndefined(adapter)) {
+			throw new Error('You must pass a RestAdapter instance when creating a RequestHandler.');
+		}
+
+		this.adapter = adapter;
+		this.options = options || {};
+		this.resources = resolveResources(adapter, this.options);
+	}
+
+	/**
+	 * Finds the route for the given HTTP method and path. Returns an Object
+	 * containing the `action`, `type`, `id`, `sub` and `subId` properties,
+	 * or `null` if no resource action is matching.
+	 *
+	 * @method match
+	 * @param  {String} method
+	 * @param  {String} path
+	 * @return {Object}
+	 */
+	match(method, path) {
+		const segments = _.compact(String(path || '').split('/'));
+		const actions = ROUTES[String(method).toUpperCase()] || [];
+		const action = actions[segments.length - 1];
+
+		if (!action) {
+			return null;
+		}
+
+		let params;
+
+		try {
+			params = _.map(segments, decodeURIComponent);
+		} catch (e) {
+			return null;
+		}
+
+		const resource = this.resources[params[0].toLowerCase()];
+
+		if (!resource || !_.includes(resource.actions, action)) {
+			return null;
+		}
+
+		if (_.has(SEGMENTS, action)) {
+			return params[2] === SEGMENTS[action] ? {
+				action,
+				type: resource.type,
+				id: params[1]
+			} : null;
+		}
+
+		return {
+			action,
+			type: resource.type,
+			id: params[1],
+			sub: params[2],
+			subId: params[3]
+		};
+	}
+
+	/**
+	 * Handles the normalized request. This method always returns a
+	 * fulfilled Promise, errors are converted into an error response
+	 * using the `handleError` method.
+	 *
+	 * @method handle
+	 * @param  {Object} request
+	 * @return {Promise}
+	 */
+	handle(request) {
+		const route = this.match(request.method, request.path);
+
+		if (!route) {
+			return when.resolve(this.handleError(new NotFoundError(`Can not ${request.method} ${request.path}.`)));
+		}
+
+		request = _.defaults({}, request, {
+			query: {},
+			headers: {}
+		});
+
+		let negotiated;
+
+		return when.try(() => {
+			negotiated = this.adapter.negotiate(route.type, findHeader(request.headers, 'accept'));
+			request.mediaType = negotiated.mediaType;
+			request.conditional = this.options.conditional;
+
+			return ACTIONS[route.action](this.adapter, route, request);
+		}).then((result) => {
+			const status = STATUS_CODES[route.action] || 200;
+
+			if (status === 204) {
+				return createResponse(status);
+			}
+
+			if (request.conditional && _.includes(CONDITIONAL, route.action)) {
+				const response = createResponse(result.status, result.body, negotiated.mediaType);
+				response.headers = _.assign(result.headers, response.headers);
+				return response;
+			}
+
+			return createResponse(status, result, negotiated.mediaType);
+		}, (error) => this.handleError(error, negotiated));
+	}
+
+	/**
+	 * Converts an Error into a response. Messages of server errors are not
+	 * exposed to the client, client errors contain the field level `errors`
+	 * of a `RestError` when there are any.
+	 *
+	 * When the Serializer negotiated for the request implements a `serializeError`
+	 * method, it is used to create the body of the response.
+	 *
+	 * @method handleError
+	 * @param  {Error}  error
+	 * @param  {Object} negotiated Serializer and media type negotiated for the request
+	 * @return {Object}
+	 */
+	handleError(error, negotiated) {
+		const status = error.statusCode || 500;
+
+		if (negotiated && _.isFunction(negotiated.serializer.serializeError)) {
+			return createResponse(status, negotiated.serializer.serializeError(error), negotiated.mediaType);
+		}
+
+		if (status >= 500) {
+			return createResponse(status, {
+				message: 'Internal Server Error',
+				statusCode: status
+			});
+		}
+
+		const body = {
+			message: error.message,
+			statusCode: status
+		};
+
+		if (!_.isEmpty(error.errors)) {
+			body.errors = error.errors;
+		}
+
+		return createResponse(status, body);
+	}
+
+}
+
+// Resolve the resource names for all Models in the sequelize instance that pass the
+// `include` and `exclude` options, mapped by their lower cased name.
+function resolveResources(adapter, options) {
+	const include = _.map(options.include, _.toLower);
+	const exclude = _.map(options.exclude, _.toLower);
+
+	return _.reduce(adapter.sequelize.models, (resources, model) => {
+		const type = adapter.resolver.normalizeTypeName(model);
+		const name = type.toLowerCase();
+
+		if (!_.isEmpty(include) && !_.includes(include, name)) {
+			return resources;
+		}
+
+		if (!_.includes(exclude, name)) {
+			resources[name] = {
+				type,
+				actions: resolveActions(options, type)
+			};
+		}
+
+		return resources;
+	}, {});
+}
+
+// Resolves which actions should be exposed for a resource.
+function resolveActions(options, type) {
+	let actions = options.actions;
+
+	if (_.isPlainObject(actions)) {
+		const key = _.findKey(actions, (value, name) => name.toLowerCase() === type.toLowerCase());
+		actions = key ? actions[key] : null;
+	}
+
+	if (!_.isArray(actions)) {
+		return _.keys(ACTIONS);
+	}
+
+	return _.map(actions, (action) => {
+		action = ACTION_ALIASES[action] || action;
+
+		if (!_.has(ACTIONS, action)) {
+			throw new Error(`Unknown action '${action}' for resource '${type}'.`);
+		}
+
+		return action;
+	});
+}
+
+function resolveQuery(request) {
+	return _.omit(request.query, PAGEABLE.concat(OPTIONS));
+}
+
+function resolvePageable(request) {
+	return _.pick(request.query, PAGEABLE);
+}
+
+// Bulk requests are written partially with the `partial` query parameter
+function resolveBulkOptions(request) {
+	return _.assign(resolveOptions(request), {
+		partial: isFlagSet(request.query, 'partial')
+	});
+}
+
+function resolveOptions(request) {
+	const options = _.pick(request.query, OPTIONS);
+
+	_.each(FLAGS, (flag) => {
+		if (_.has(options, flag)) {
+			options[flag] = isFlagSet(options, flag);
+		}
+	});
+
+	return _.assign(options, {
+		mediaType: request.mediaType,
+		ifMatch: findHeader(request.headers, 'if-match'),
+		ifNoneMatch: findHeader(request.headers, 'if-none-match'),
+		ifModifiedSince: findHeader(request.headers, 'if-modified-since'),
+		conditional: request.conditional
+	});
+}
+
+// Flags are set by their presence, like `?withDeleted`, unless the value is `false`
+function isFlagSet(query, name) {
+	return _.has(query, name) && query[name] !== 'false';
+}
+
+// Finds the value of a header, names are compared case insensitively
+function findHeader(headers, name) {
+	const key = _.findKey(headers, (value, key) => key.toLowerCase() === name);
+	return key ? headers[key] : undefined;
+}
+
+// JSON Patch documents are sent with their own media type
+function isJSONPatch(request) {
+	const contentType = findHeader(request.headers, 'content-type');
+	return _.trim(String(contentType).split(';')[0]).toLowerCase() === 'application/json-patch+json';
+}
+
+function createResponse(status, body, mediaType) {
+	const headers = {};
+
+	if (!_.isUndefined(body)) {
+		headers['Content-Type'] = mediaType || 'application/json';
+	}
+
+	return {
+		status, headers, body
+	};
+}
+
+module.exports = RequestHandler;
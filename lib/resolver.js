@@ -2,11 +2,11 @@
 
 const _ = require('lodash');
 
-function resolveAndCache(resolver, sequalize, type, name) {
+function resolveAndCache(resolver, sequalize, type, name, format) {
 	name = resolver.normalizeTypeName(name);
 
 	const cache = resolver._cache;
-	const key = `${type}:${name}`;
+	const key = format ? `${type}:${name}:${format}` : `${type}:${name}`;
 
 	let module = cache.get(key);
 
@@ -14,7 +14,7 @@ function resolveAndCache(resolver, sequalize, type, name) {
 		return module;
 	}
 
-	module = resolver.resolve(sequalize, type, name);
+	module = resolver.resolve(sequalize, type, name, format);
 
 	if(module) {
 		cache.set(key, module);
@@ -27,8 +27,9 @@ function resolveAndCache(resolver, sequalize, type, name) {
 /**
  * Resolver used by the RestAdapter to find
  * Models, {{#crossLink "RestSequelize.RestService"}}{{/crossLink}},
- * {{#crossLink "RestSequelize.Serializer"}}{{/crossLink}} and
- * {{#crossLink "RestSequelize.Deserializer"}}{{/crossLink}} classes.
+ * {{#crossLink "RestSequelize.Serializer"}}{{/crossLink}},
+ * {{#crossLink "RestSequelize.Deserializer"}}{{/crossLink}} and
+ * {{#crossLink "RestSequelize.Policy"}}{{/crossLink}} classes.
  *
  * Uses caching to store and resolve already looked up modules.
  *
@@ -79,14 +80,17 @@ class Resolver {
 
 	/**
 	 * Lookup and create an instance of the {{#crossLink "RestSequelize.Serializer"}}
+	 * for a resource and a format. The format is a media type, like `application/hal+json`,
+	 * and is passed as the fourth argument to the `resolve` method.
 	 *
 	 * @method resolveSerializer
 	 * @param  {Sequalize} sequalize Sequalize instance
 	 * @param  {String}    name Name of the Serializer implementation
+	 * @param  {String}    format Media type of the serialized payload
 	 * @return {RestSequelize.Serializer}
 	 */
-	resolveSerializer(sequalize, name) {
-		return resolveAndCache(this, sequalize, 'serializers', name);
+	resolveSerializer(sequalize, name, format) {
+		return resolveAndCache(this, sequalize, 'serializers', name, format);
 	}
 
 	/**
@@ -101,6 +105,46 @@ class Resolver {
 		return resolveAndCache(this, sequalize, 'deserializers', name);
 	}
 
+	/**
+	 * Lookup and create an instance of the {{#crossLink "RestSequelize.Policy"}}
+	 * used to authorize the actions on a resource.
+	 *
+	 * @method resolvePolicy
+	 * @param  {Sequalize} sequalize Sequalize instance
+	 * @param  {String}    name Name of the Policy implementation
+	 * @return {RestSequelize.Policy}
+	 */
+	resolvePolicy(sequalize, name) {
+		return resolveAndCache(this, sequalize, 'policies', name);
+	}
+
+	/**
+	 * Lookup the lifecycle hooks of a resource. Hooks are an Object where the key
+	 * is the hook name and the value a function or a list of functions, see the
+	 * `runHooks` function of the `hooks` module.
+	 *
+	 * Resources do not need to define hooks, so an empty Object is used when the
+	 * `resolve` method returns `undefined` or `null` for the `hooks` type. The empty
+	 * Object is cached as well. Errors thrown by the `resolve` method are not caught,
+	 * as hooks can enforce access checks which must not be skipped.
+	 *
+	 * @method resolveHooks
+	 * @param  {Sequalize} sequalize Sequalize instance
+	 * @param  {String}    name Name of the resource
+	 * @return {Object}
+	 */
+	resolveHooks(sequalize, name) {
+		const key = `hooks:${this.normalizeTypeName(name)}`;
+
+		if (!this._cache.has(key)) {
+			const hooks = resolveAndCache(this, sequalize, 'hooks', name);
+
+			this._cache.set(key, _.isNil(hooks) ? {} : hooks);
+		}
+
+		return this._cache.get(key);
+	}
+
 	/**
 	 * Lookup the Sequelize Model.
 	 * This method is not cached due to the reason that it is looked up
@@ -146,11 +190,12 @@ class Resolver {
 	 * @method resolve
 	 * @param {Sequalize} sequalize Sequalize instance
 	 * @param {String}    type Type of the module, it can be
-	 *                      `service`, `serializer` or `deserializer`.
+	 *                      `service`, `serializer`, `deserializer`, `policies` or `hooks`.
 	 * @param {String}    name Name for a specific module
+	 * @param {String}    format Media type of a `serializer`, when negotiated
 	 * @return {*}
 	 */
-	resolve(/* sequalize, type, name */) {
+	resolve(/* sequalize, type, name, format */) {
 		return null;
 	}
 
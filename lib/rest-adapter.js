@@ -1,11 +1,144 @@
 "use strict";
 
 const _ = require('lodash');
+const when = require('when');
 const Resolver = require('./resolver');
 const RestService = require('./rest-service');
 const Serializer = require('./serializer');
 const Deserializer = require('./deserializer');
+const Policy = require('./policy');
+const JSONAPISerializer = require('./jsonapi-serializer');
+const HALSerializer = require('./hal-serializer');
+const CSVSerializer = require('./csv-serializer');
 const RestError = require('./error');
+const BadRequestError = require('./error').BadRequestError;
+const ForbiddenError = require('./error').ForbiddenError;
+const NotFoundError = require('./error').NotFoundError;
+const UnprocessableEntityError = require('./error').UnprocessableEntityError;
+const ExportStream = require('./export-stream');
+const include = require('./include');
+const negotiation = require('./negotiation');
+const jsonPatch = require('./json-patch');
+const etag = require('./etag');
+const buildWhere = require('./filter').buildWhere;
+const hooks = require('./hooks');
+const resolveTenant = require('./tenant').resolveTenant;
+const primaryKey = require('./primary-key');
+
+/**
+ * Serializer classes used by the `DefaultResolver` for each media type.
+ * The first media type is used when the client accepts any media type.
+ *
+ * @property SERIALIZERS
+ * @type {Object}
+ * @private
+ */
+const SERIALIZERS = {
+	'application/json': Serializer,
+	'application/vnd.api+json': JSONAPISerializer,
+	'application/hal+json': HALSerializer,
+	'text/csv': CSVSerializer
+};
+
+/**
+ * Formats supported by the `export` method of the `RestAdapter`, by media type.
+ * Each format defines the media type of the serializer used to write the records
+ * and creates the function which writes a batch of records.
+ *
+ * @property EXPORT_FORMATS
+ * @type {Object}
+ * @private
+ */
+const EXPORT_FORMATS = {
+	'text/csv': {
+		serializer: 'text/csv',
+		create(serializer, model, context) {
+			let columns;
+
+			return (records, first) => {
+				if (first) {
+					columns = serializer.columnsFor(model, _.head(records));
+				}
+
+				const rows = _.map(records, (record) => serializer.serializeRow(record, columns, context)).join('');
+
+				return first ? serializer.serializeHeader(columns) + rows : rows;
+			};
+		}
+	},
+	'application/x-ndjson': {
+		serializer: 'application/json',
+		create(serializer, model, context) {
+			return (records) => _.map(records, (record) => JSON.stringify(serializer.serializeRecord(record, context)) + '\n').join('');
+		}
+	}
+};
+
+/**
+ * Options of the find methods, which include soft deleted records of paranoid Models.
+ *
+ * @property PARANOID_OPTIONS
+ * @type {Array}
+ * @private
+ */
+const PARANOID_OPTIONS = ['withDeleted', 'onlyDeleted'];
+
+/**
+ * Bulk operations, where each one writes a single item with the given
+ * transaction and resolves with the primary key of the written record.
+ *
+ * @property BULK_ACTIONS
+ * @type {Object}
+ * @private
+ */
+const BULK_ACTIONS = {
+	create: {
+		status: 201,
+		write(adapter, type, item, transaction, options, context) {
+			const data = adapter.deserializerFor(type).deserialize(adapter, type, item, context);
+
+			return authorize(adapter, type, 'canCreate', [data], context).then(() => {
+				return adapter._execute('persist', type, data, _.assign(writeOptions(adapter, type, options, context), {
+					transaction
+				}), context);
+			}).then((record) => primaryKey.recordId(adapter.modelFor(type), record));
+		}
+	},
+	update: {
+		status: 200,
+		write(adapter, type, item, transaction, options, context) {
+			const data = adapter.deserializerFor(type).deserialize(adapter, type, item, context);
+
+			const model = adapter.modelFor(type);
+
+			if (!primaryKey.hasPrimaryKey(model, data)) {
+				throw new BadRequestError(`Can not update a model ${type} without specifing its' id.`);
+			}
+
+			return authorize(adapter, type, 'canUpdate', [primaryKey.recordId(model, data), data], context).then(() => {
+				return adapter._execute('persist', type, data, _.assign(writeOptions(adapter, type, options, context), {
+					transaction
+				}), context);
+			}).then((record) => primaryKey.recordId(model, record));
+		}
+	},
+	delete: {
+		status: 204,
+		write(adapter, type, item, transaction, options, context) {
+			const id = _.isPlainObject(item) ? primaryKey.recordId(adapter.modelFor(type), item) : item;
+
+			if (_.isNil(id) || _.isNaN(id)) {
+				throw new BadRequestError('You must pass a Number as an ID.');
+			}
+
+			return authorize(adapter, type, 'canDelete', [id], context).then(() => {
+				return adapter._execute('delete', type, id, _.assign(writeOptions(adapter, type, options, context), {
+					transaction
+				}), context);
+			}).then(() => id);
+		}
+	}
+};
 
 /**
  * Default {{#crossLink "RestSequelize.Resolver"}}{{/crossLink}} used
@@ -17,7 +150,7 @@ const RestError = require('./error');
  */
 class DefaultResolver extends Resolver {
 
-	resolve(sequelize, type, name) {
+	resolve(sequelize, type, name, format) {
 
 		let FactoryClass;
 
@@ -26,11 +159,21 @@ class DefaultResolver extends Resolver {
 				FactoryClass = RestService;
 				break;
 			case 'serializers':
-				FactoryClass = Serializer;
+				FactoryClass = SERIALIZERS[format || 'application/json'];
+
+				if (!FactoryClass) {
+					return;
+				}
+
 				break;
 			case 'deserializers':
 				FactoryClass = Deserializer;
 				break;
+			case 'policies':
+				FactoryClass = Policy;
+				break;
+			case 'hooks':
+				return;
 			default:
 				throw new Error(`Could not resolve type '${type}' and name ${name}`);
 		}
@@ -46,16 +189,50 @@ class DefaultResolver extends Resolver {
  * All incoming payloads are normalized, and the serialized
  * into a response object ready for flushing.
  *
+ * Each method accepts an optional `context` as its last argument, like the current
+ * user, locale or tenant of the request. It is passed to the methods of the
+ * {{#crossLink "RestSequelize.RestService"}}{{/crossLink}}, to the `serialize` method
+ * of the Serializer and to the `deserialize` method of the Deserializer, so custom
+ * implementations can make decisions per request. The default Serializer passes it
+ * to `serializeRecord`, the JSON:API and HAL serializers to `serializeResource`.
+ *
+ * Records are identified by the primary key of the Model, which can be a custom or a
+ * composite one. The id of a composite primary key is an Object containing the value of
+ * each key attribute, or a String where the values are delimited with a `~`, like `1~2`.
+ * See the `parseId` and `recordId` functions of the `primary-key` module.
+ *
+ * Each action is authorized by the {{#crossLink "RestSequelize.Policy"}}{{/crossLink}}
+ * of the resource, see the `policyFor` method. Actions which are not allowed are rejected
+ * with a `ForbiddenError`. Subresource actions also require the parent record to be readable.
+ *
+ * Available options:
+ *
+ *  - `includes`:   Object where the key is the resource name and the value list
+ *                  of associations included by default when finding its records
+ *  - `mediaTypes`: list of media types matched against wildcard media ranges of the
+ *                  `Accept` header, the first one is used when any type is accepted.
+ *                  Defaults to the media types supported by the `DefaultResolver`.
+ *  - `optimisticLocking`: when `true`, the ETag of each record is added to the meta of
+ *                  the serialized records, and the `version` and `ifMatch` options of
+ *                  the update and delete methods are checked, see the `etag` module.
+ *  - `hooks`:      Object where the key is the hook name and the value a function, or a
+ *                  list of them, which is run for all resources. See the `addHook` method.
+ *  - `tenant`:     Object containing the `attribute` of the tenant column and the `value`,
+ *                  a function or a property path of the request context. Records of Models
+ *                  with the tenant column are scoped by the tenant of the request, see the
+ *                  `resolveTenant` function of the `tenant` module.
+ *
  * @class RestAdapter
  * @namespace RestSequelize
  * @extends RestSequelize.Object
  * @constructor
  * @param {Sequelize} sequelize
  * @param {Resolver}  resolver
+ * @param {Object}    options
  */
 class RestAdapter {
 
-	constructor(sequelize, resolver) {
+	constructor(sequelize, resolver, options) {
 		if (_.isUndefined(sequelize)) {
 			throw new Error('You must pass a Sequelize instance when creating RestAdapter instance.');
 		}
@@ -66,6 +243,53 @@ class RestAdapter {
 
 		this.sequelize = sequelize;
 		this.resolver = resolver;
+		this._defaultResolver = new DefaultResolver();
+		this.options = _.defaults({}, options, {
+			mediaTypes: _.keys(SERIALIZERS)
+		});
+		this.hooks = hooks.normalizeHooks(this.options.hooks);
+	}
+
+	/**
+	 * Registers a lifecycle hook which is run for all resources. Supported hooks are
+	 * `beforeFind`, `afterFind`, `beforeCreate`, `afterCreate`, `beforeUpdate`,
+	 * `afterUpdate`, `beforeDelete` and `afterDelete`.
+	 *
+	 * Each hook is invoked with the Model, the query or payload, the transaction and the
+	 * `context` argument of the adapter method. Find hooks receive the query before the
+	 * records are found and the result afterwards, they are run without a transaction.
+	 * Subresources run the find, create and delete hooks of the associated type, and
+	 * the `export` method runs `beforeFind` once and `afterFind` for each batch.
+	 * Write hooks receive the data before the record is written and the record afterwards,
+	 * see the `persist` and `delete` methods of the {{#crossLink "RestSequelize.RestService"}}{{/crossLink}}.
+	 * Hooks can change the query or payload, or stop the operation by throwing a `RestError`.
+	 *
+	 * Hooks of a single resource are resolved with the `resolveHooks` method of the
+	 * {{#crossLink "RestSequelize.Resolver"}}{{/crossLink}}, and run after the global ones.
+	 *
+	 * @method addHook
+	 * @param  {String}   name
+	 * @param  {Function} hook
+	 * @return {RestSequelize.RestAdapter}
+	 */
+	addHook(name, hook) {
+		this.hooks = hooks.mergeHooks(this.hooks, hooks.normalizeHooks({
+			[name]: hook
+		}));
+
+		return this;
+	}
+
+	/**
+	 * Find the lifecycle hooks for a given type, the hooks registered
+	 * on the adapter are followed by the hooks of the resource.
+	 *
+	 * @method hooksFor
+	 * @param  {String|Model} type
+	 * @return {Object}
+	 */
+	hooksFor(type) {
+		return hooks.mergeHooks(this.hooks, hooks.normalizeHooks(this.resolver.resolveHooks(this.sequelize, type)));
 	}
 
 	/**
@@ -82,16 +306,64 @@ class RestAdapter {
 	}
 
 	/**
-	 * Find a {{#crossLink "RestSequelize.Serializer"}}{{/crossLink}} instance for a given type.
-	 * If the {{#crossLink "RestSequelize.Resolver"}}{{/crossLink}} can not resolve a serializer,
-	 * it uses the default implementation.
+	 * Find a {{#crossLink "RestSequelize.Serializer"}}{{/crossLink}} instance for a given type
+	 * and media type, see the `negotiate` method.
 	 *
 	 * @method serializerFor
 	 * @param  {String} type
+	 * @param  {String} mediaType Media type or the value of an `Accept` header
 	 * @return {RestSequelize.Serializer}
 	 */
-	serializerFor(type) {
-		return this.resolver.resolveSerializer(this.sequelize, type);
+	serializerFor(type, mediaType) {
+		return this.negotiate(type, mediaType).serializer;
+	}
+
+	/**
+	 * Negotiates the media type of the response for a given type. The media type can be
+	 * a single media type, like `application/hal+json`, or the value of an `Accept` header.
+	 * Media ranges are tried by their quality, and the {{#crossLink "RestSequelize.Resolver"}}{{/crossLink}}
+	 * is asked for a serializer for the type and each media type. Wildcard ranges, like `*\/*`,
+	 * are matched against the `mediaTypes` option. When no media type is given, any type is accepted.
+	 *
+	 * Resolvers which return nothing for a media type, or the same serializer as for the type without
+	 * a media type, have no serializer specific to it. The serializer of the `DefaultResolver` for the
+	 * media type is used instead, so a plain JSON serializer is never sent as another media type.
+	 *
+	 * Returns an Object containing the negotiated `mediaType` and the `serializer`. A `RestError`
+	 * with status `406` is thrown when no serializer supports the accepted media types.
+	 *
+	 * @method negotiate
+	 * @param  {String} type
+	 * @param  {String} mediaType
+	 * @return {Object}
+	 */
+	negotiate(type, mediaType) {
+		let negotiated;
+
+		_.find(negotiation.parseAccept(mediaType), (range) => {
+			const candidates = _.includes(range, '*') ? _.filter(this.options.mediaTypes, (candidate) => {
+				return negotiation.matchMediaType(range, candidate);
+			}) : [range];
+
+			return _.find(candidates, (candidate) => {
+				const serializer = resolveSerializer(this, type, candidate);
+
+				if (serializer) {
+					negotiated = {
+						mediaType: candidate,
+						serializer
+					};
+				}
+
+				return negotiated;
+			});
+		});
+
+		if (negotiated) {
+			return negotiated;
+		}
+
+		throw new RestError(`Can not serialize '${this.resolver.normalizeTypeName(type)}' as '${mediaType}'.`, 406);
 	}
 
 	/**
@@ -107,6 +379,33 @@ class RestAdapter {
 		return this.resolver.resolveDeserializer(this.sequelize, type);
 	}
 
+	/**
+	 * Find a {{#crossLink "RestSequelize.Policy"}}{{/crossLink}} instance for a given type,
+	 * which authorizes the actions on the resource. When the
+	 * {{#crossLink "RestSequelize.Resolver"}}{{/crossLink}} can not resolve a policy,
+	 * all actions are allowed.
+	 *
+	 * @method policyFor
+	 * @param  {String|Model} type
+	 * @return {RestSequelize.Policy}
+	 */
+	policyFor(type) {
+		return this.resolver.resolvePolicy(this.sequelize, type);
+	}
+
+	/**
+	 * Resolves the tenant of a request from the `tenant` option and the `context`,
+	 * which is passed to the {{#crossLink "RestSequelize.RestService"}}{{/crossLink}}
+	 * to scope the records. Returns `undefined` when the option is not set.
+	 *
+	 * @method tenantFor
+	 * @param  {Object} context
+	 * @return {Object}
+	 */
+	tenantFor(context) {
+		return resolveTenant(this.options.tenant, context);
+	}
+
 	/**
 	 * Find a Model instance for a given type.
 	 *
@@ -129,7 +428,7 @@ class RestAdapter {
 		const model = this.resolver.resolveModel(this.sequelize, type);
 
 		if (!model) {
-			throw new RestError(`Could not find Model for type ${type}.`, 404);
+			throw new NotFoundError(`Could not find Model for type ${type}.`);
 		}
 
 		return model;
@@ -139,55 +438,186 @@ class RestAdapter {
 	 * Preapre the raw query parameters from the request into
 	 * a Sequelize Query. Then find all results that match this query.
 	 *
+	 * Associations can be included with the `include` option, which is a list
+	 * or a comma separated String of association paths, like `tasks,tasks.user`.
+	 * If the option is not defined, the default includes for this resource are used.
+	 *
+	 * The attributes of the records can be limited with the `fields` option, which is
+	 * a list of attribute names, like `id,name`, or an Object where the key is the
+	 * association path and the value its list of attribute names, like `{tasks: 'id,type'}`.
+	 * Primary and foreign keys are always loaded.
+	 *
+	 * Records are sorted by the `sort` pageable property, a list of attribute paths like
+	 * `-createdAt,name,tasks.name`, where a `-` prefix sorts in a descending direction.
+	 * The `order` pageable property sets the direction of paths without a prefix.
+	 *
+	 * When the `cursor` pageable property is defined, records are found with the keyset
+	 * pagination instead of the offset. Use an empty `cursor` for the first page, and the
+	 * `nextCursor` or `prevCursor` from the `meta` of the result for the following pages.
+	 * Records are not counted in this mode.
+	 *
+	 * The `meta` of the result contains the `size` of the page and the requested `pageSize`.
+	 *
+	 * The serializer is chosen by the `mediaType` option, see the `negotiate` method.
+	 *
+	 * Soft deleted records of paranoid Models are included with the `withDeleted` option,
+	 * and the `onlyDeleted` option finds only the soft deleted records. A `RestError`
+	 * with status `400` is thrown when they are used for a Model which is not paranoid.
+	 *
+	 * When the `conditional` option is set, the result is a response Object containing
+	 * the `status`, `headers` and `body` properties, see the `findById` method.
+	 *
 	 * @method find
 	 * @param  {String|Model} type
 	 * @param  {Object}       where
 	 * @param  {Object}       pageable
+	 * @param  {Object}       options
+	 * @param  {Object}       context
 	 * @return {Promise}
 	 */
-	find(type, where, pageable) {
+	find(type, where, pageable, options, context) {
+		const params = listParams(where, pageable, options);
+
 		pageable = applyDefaultPageable(pageable);
 		const query = _.assign({}, pageable, {
-			where
-		});
+			where,
+			include: resolveInclude(this, type, options),
+			fields: _.get(options, 'fields'),
+			tenant: this.tenantFor(context)
+		}, _.pick(options, PARANOID_OPTIONS));
 
-		return this._execute('find', type, query).then((result) => {
-			const models = result.rows;
-			const serializer = this.serializerFor(type);
+		const pageSize = parseInt(query.size, 10);
+
+		if (!_.isUndefined(query.cursor)) {
+			return scopeQuery(this, type, query, context).then((query) => {
+				return executeFind(this, 'findByCursor', type, query, context);
+			}).then((result) => {
+				const models = result.rows;
+				return serializeResult(this, type, models, _.assign({
+					size: models.length,
+					pageSize,
+					nextCursor: result.nextCursor,
+					prevCursor: result.prevCursor
+				}, versionMeta(this, type, models)), options, context, params);
+			});
+		}
 
-			return serializer.serialize(this, type, models, {
+		return scopeQuery(this, type, query, context).then((query) => {
+			return executeFind(this, 'find', type, query, context);
+		}).then((result) => {
+			const models = result.rows;
+			return serializeResult(this, type, models, _.assign({
 				size: models.length,
+				pageSize,
 				page: parseInt(query.page, 10),
 				totalSize: result.count,
-				totalPages: Math.ceil(result.count / query.size)
-			});
+				totalPages: Math.ceil(result.count / pageSize)
+			}, versionMeta(this, type, models)), options, context, params);
 		});
 	}
 
+	/**
+	 * Exports all records matching the `where` clause as a Node.js `Readable` stream.
+	 *
+	 * Records are read in batches of the `batchSize` option, `1000` by default, using
+	 * the keyset pagination of the `find` method, so that a large collection is never
+	 * loaded into memory at once. The `sort` and `order` pageable properties and the
+	 * `include` and `fields` options are supported like in the `find` method.
+	 *
+	 * The format is chosen by the `mediaType` option, which can be `text/csv` or
+	 * `application/x-ndjson`. The CSV header is taken from the Model attributes which are
+	 * loaded, NDJSON writes one serialized record per line. The chosen media type is set
+	 * as the `mediaType` property of the stream. A `RestError` with status `406` is
+	 * thrown for other media types, errors while reading the records are emitted by the stream.
+	 *
+	 * @method export
+	 * @param  {String|Model} type
+	 * @param  {Object}       where
+	 * @param  {Object}       pageable
+	 * @param  {Object}       options
+	 * @param  {Object}       context
+	 * @return {RestSequelize.ExportStream}
+	 */
+	export(type, where, pageable, options, context) {
+		const model = this.modelFor(type);
+		let mediaType;
+
+		_.find(negotiation.parseAccept(_.get(options, 'mediaType', 'text/csv')), (range) => {
+			mediaType = _.find(_.keys(EXPORT_FORMATS), (candidate) => negotiation.matchMediaType(range, candidate));
+
+			return mediaType;
+		});
+
+		if (!mediaType) {
+			throw new RestError(`Can not export '${this.resolver.normalizeTypeName(type)}' as '${options.mediaType}'.`, 406);
+		}
+
+		const format = EXPORT_FORMATS[mediaType];
+		const query = {
+			where,
+			sort: _.get(pageable, 'sort'),
+			direction: _.get(pageable, 'order'),
+			limit: parseInt(_.get(options, 'batchSize', 1000), 10),
+			include: resolveInclude(this, type, options),
+			fields: _.get(options, 'fields'),
+			tenant: this.tenantFor(context)
+		};
+
+		const typeHooks = this.hooksFor(type);
+		let scoped;
+
+		// The query is scoped and passed to the `beforeFind` hooks once, `afterFind` runs for each batch
+		return new ExportStream(mediaType, (cursor) => {
+			scoped = scoped || scopeQuery(this, type, query, context).then((query) => {
+				return hooks.runHooks(typeHooks, 'beforeFind', model, query, undefined, context);
+			});
+
+			return scoped.then((query) => {
+				return this._execute('findByCursor', type, _.assign({}, query, {
+					cursor
+				}), context);
+			}).then((page) => {
+				return hooks.runHooks(typeHooks, 'afterFind', model, page, undefined, context);
+			});
+		}, format.create(this.serializerFor(type, format.serializer), model, context));
+	}
+
 	/**
 	 * Find a Model for a specific id.
 	 *
-	 * If `id` is not a Number, a TypeError is raised.
+	 * If `id` is not a Number, a TypeError is raised. Associations
+	 * are included using the `include` option and attributes are limited with
+	 * the `fields` option, like in the `find` method. Soft deleted records are found
+	 * with the `withDeleted` and `onlyDeleted` options, like in the `find` method.
+	 *
+	 * Conditional requests are supported with the `conditional` option, which is `strong`
+	 * or `weak`. The result is then a response Object containing the `status`, `headers`
+	 * and `body` properties, where the `ETag` and `Last-Modified` headers are set:
+	 *
+	 *  - `strong`: the ETag is a hash of the serialized payload
+	 *  - `weak`:   the ETag is created from the largest `updatedAt` timestamp and the number
+	 *              of records, so it is known before the records are serialized. Models
+	 *              without an `updatedAt` timestamp use the strong ETag.
+	 *
+	 * The `Last-Modified` header is the largest `updatedAt` timestamp of the records. When
+	 * the data has not changed since the `ifNoneMatch` or `ifModifiedSince` option, which
+	 * are the values of the `If-None-Match` and `If-Modified-Since` headers, the status is
+	 * `304` and there is no body. With weak ETags the serializer is not invoked in that case.
 	 *
 	 * @method findOne
 	 * @param  {String|Model} type
 	 * @param  {Number}       id
+	 * @param  {Object}       options
+	 * @param  {Object}       context
 	 * @return {Promise}
 	 */
-	findById(type, id) {
+	findById(type, id, options, context) {
 		if (_.isNaN(id)) {
 			throw new TypeError('You must pass a Number as an ID.');
 		}
 
-		const query = {
-			where: {
-				id: id
-			}
-		};
-
-		return this._execute('findOne', type, query).then((result) => {
-			const serializer = this.serializerFor(type);
-			return serializer.serialize(this, type, result);
+		return authorize(this, type, 'canRead', [id], context).then(() => {
+			return findRecord(this, type, id, options, context);
 		});
 	}
 
@@ -199,14 +629,18 @@ class RestAdapter {
 	 * @method create
 	 * @param  {String|Model} type
 	 * @param  {Object}       payload
+	 * @param  {Object}       options Options used to reload the model
+	 * @param  {Object}       context
 	 * @return {Promise}
 	 */
-	create(type, payload) {
+	create(type, payload, options, context) {
 		const deserializer = this.deserializerFor(type);
-		const data = deserializer.deserialize(this, type, payload);
+		const data = deserializer.deserialize(this, type, payload, context);
 
-		return this._execute('persist', type, data).then((model) => {
-			return this.findById(type, model.id);
+		return authorize(this, type, 'canCreate', [data], context).then(() => {
+			return this._execute('persist', type, data, writeOptions(this, type, options, context), context);
+		}).then((model) => {
+			return reloadRecord(this, type, model, _.omit(options, 'conditional'), context);
 		});
 	}
 
@@ -219,48 +653,288 @@ class RestAdapter {
 	 * If the record is successfully updated, we will reload the model
 	 * with all the attributes and associations from the database.
 	 *
+	 * With the `optimisticLocking` option, the expected `version` of the record or the
+	 * value of an `If-Match` header, passed as the `ifMatch` option, are checked against
+	 * the record. A mismatch is rejected with a `RestError` with status `412`.
+	 *
 	 * @method update
 	 * @param  {String|Model} type
 	 * @param  {Number}       id
 	 * @param  {Object}       payload
+	 * @param  {Object}       options Options used to reload the model
+	 * @param  {Object}       context
 	 * @return {Promise}
 	 */
-	update(type, id, payload) {
+	update(type, id, payload, options, context) {
 		if (arguments.length === 2) {
 			payload = id;
 			id = null;
 		}
 
+		const model = this.modelFor(type);
 		const deserializer = this.deserializerFor(type);
-		const data = deserializer.deserialize(this, type, payload);
+		const data = deserializer.deserialize(this, type, payload, context);
 
-		if (!_.isNaN(id)) {
-			data.id = id;
+		if (!_.isNil(id) && !_.isNaN(id)) {
+			_.assign(data, primaryKey.parseId(model, id));
 		}
 
-		if (!id && !data.id) {
-			throw new RestError(`Can not update a model ${type} without specifing its' id.`, 400);
+		if (!primaryKey.hasPrimaryKey(model, data)) {
+			throw new BadRequestError(`Can not update a model ${type} without specifing its' id.`);
 		}
 
-		return this._execute('persist', type, data).then((model) => {
-			return this.findById(type, model.id);
+		return authorize(this, type, 'canUpdate', [primaryKey.recordId(model, data), data], context).then(() => {
+			return this._execute('persist', type, data, writeOptions(this, type, options, context), context);
+		}).then((model) => {
+			return reloadRecord(this, type, model, _.omit(options, 'conditional'), context);
+		});
+	}
+
+	/**
+	 * Partially updates the Model record for the given id. Only the attributes and
+	 * associations present in the payload are changed, see the `patch` method of
+	 * the {{#crossLink "RestSequelize.RestService"}}{{/crossLink}}.
+	 *
+	 * If the record is successfully updated, we will reload the model
+	 * with all the attributes and associations from the database.
+	 * Preconditions are checked like in the `update` method.
+	 *
+	 * @method patch
+	 * @param  {String|Model} type
+	 * @param  {Number}       id
+	 * @param  {Object}       payload
+	 * @param  {Object}       options Options used to reload the model
+	 * @param  {Object}       context
+	 * @return {Promise}
+	 */
+	patch(type, id, payload, options, context) {
+		const deserializer = this.deserializerFor(type);
+		const data = deserializer.deserialize(this, type, payload, context);
+
+		return authorize(this, type, 'canUpdate', [id, data], context).then(() => {
+			return this._execute('patch', type, id, data, writeOptions(this, type, options, context), context);
+		}).then((model) => {
+			return reloadRecord(this, type, model, _.omit(options, 'conditional'), context);
+		});
+	}
+
+	/**
+	 * Replaces the Model record for the given id. Omitted nullable attributes are
+	 * reset to their default values, see the `replace` method of the
+	 * {{#crossLink "RestSequelize.RestService"}}{{/crossLink}}.
+	 *
+	 * If the record is successfully updated, we will reload the model
+	 * with all the attributes and associations from the database.
+	 * Preconditions are checked like in the `update` method.
+	 *
+	 * @method replace
+	 * @param  {String|Model} type
+	 * @param  {Number}       id
+	 * @param  {Object}       payload
+	 * @param  {Object}       options Options used to reload the model
+	 * @param  {Object}       context
+	 * @return {Promise}
+	 */
+	replace(type, id, payload, options, context) {
+		const deserializer = this.deserializerFor(type);
+		const data = deserializer.deserialize(this, type, payload, context);
+
+		return authorize(this, type, 'canUpdate', [id, data], context).then(() => {
+			return this._execute('replace', type, id, data, writeOptions(this, type, options, context), context);
+		}).then((model) => {
+			return reloadRecord(this, type, model, _.omit(options, 'conditional'), context);
+		});
+	}
+
+	/**
+	 * Applies a JSON Patch document, as described in [RFC 6902](https://tools.ietf.org/html/rfc6902),
+	 * to the Model record for the given id. The patch is applied to the serialized form of
+	 * the record, which contains the attributes and the associations referenced by the patch,
+	 * so `/tasks/-` adds a record to the `Tasks` association. Association records are
+	 * referenced by their primary key, or as objects containing it. Removed attributes
+	 * are set to `null`.
+	 *
+	 * The record is loaded and the result is persisted with the `persist` method of the
+	 * {{#crossLink "RestSequelize.RestService"}}{{/crossLink}} inside one transaction.
+	 * A `RestError` with status `400` is rejected for an invalid patch, `422` for a path
+	 * which does not exist and `409` when a `test` operation fails.
+	 *
+	 * If the record is successfully updated, we will reload the model
+	 * with all the attributes and associations from the database.
+	 * Preconditions are checked like in the `update` method.
+	 *
+	 * @method applyPatch
+	 * @param  {String|Model} type
+	 * @param  {Number}       id
+	 * @param  {Array}        operations
+	 * @param  {Object}       options Options used to reload the model
+	 * @param  {Object}       context
+	 * @return {Promise}
+	 */
+	applyPatch(type, id, operations, options, context) {
+		const model = this.modelFor(type);
+		const service = this.serviceFor(type);
+		const patch = jsonPatch.parsePatch(operations);
+		const associations = [];
+
+		// Resolve the association names used in the paths
+		_.each(patch, (operation) => {
+			_.each(['path', 'from'], (member) => {
+				const association = include.findAssociation(model, _.head(operation[member]));
+
+				if (association) {
+					operation[member][0] = association.as;
+					associations.push(association.as);
+				}
+			});
+		});
+
+		return authorize(this, type, 'canUpdate', [id, operations], context).then(() => {
+			return service.transaction((transaction) => {
+				return service.findOne(model, {
+					where: primaryKey.parseId(model, id),
+					include: _.uniq(associations),
+					tenant: this.tenantFor(context),
+					transaction
+				}, context).then((instance) => {
+					const document = instance.toJSON();
+					const data = jsonPatch.applyPatch(document, patch);
+
+					if (!_.isPlainObject(data)) {
+						throw new UnprocessableEntityError('JSON Patch must result in an Object.');
+					}
+
+					// Removed attributes are cleared
+					_.each(model.attributes, (attribute, name) => {
+						if (_.has(document, name) && !_.has(data, name)) {
+							data[name] = null;
+						}
+					});
+
+					_.assign(data, primaryKey.primaryKeyValues(model, instance));
+
+					// Associations emptied by the patch are cleared
+					return service.persist(model, data, _.assign({
+						transaction,
+						clearAssociations: true
+					}, writeOptions(this, type, options, context)), context);
+				});
+			});
+		}).then((model) => {
+			return reloadRecord(this, type, model, _.omit(options, 'conditional'), context);
 		});
 	}
 
 	/**
 	 * Delete the model for the given id.
 	 *
+	 * With the `optimisticLocking` option, the `version` and `ifMatch`
+	 * options are checked against the record.
+	 *
+	 * Records of paranoid Models are soft deleted, use the `force` option
+	 * to remove them from the Database. A `RestError` with status `400` is
+	 * thrown when the option is used for a Model which is not paranoid.
+	 *
 	 * @method delete
 	 * @param  {String|Model} type
 	 * @param  {Number}       id
+	 * @param  {Object}       options
+	 * @param  {Object}       context
 	 * @return {Promise}
 	 */
-	delete(type, id) {
+	delete(type, id, options, context) {
 		if (_.isNaN(id)) {
-			throw new RestError('You must pass a Number as an ID.', 400);
+			throw new BadRequestError('You must pass a Number as an ID.');
 		}
 
-		return this._execute('delete', type, id);
+		return authorize(this, type, 'canDelete', [id], context).then(() => {
+			return this._execute('delete', type, id, _.assign(writeOptions(this, type, options, context), _.pick(options, 'force')), context);
+		});
+	}
+
+	/**
+	 * Restores a soft deleted Model record of a paranoid Model for the given id, see the
+	 * `restore` method of the {{#crossLink "RestSequelize.RestService"}}{{/crossLink}}.
+	 * The restored record is reloaded like in the `update` method.
+	 *
+	 * @method restore
+	 * @param  {String|Model} type
+	 * @param  {Number}       id
+	 * @param  {Object}       options Options used to reload the model
+	 * @param  {Object}       context
+	 * @return {Promise}
+	 */
+	restore(type, id, options, context) {
+		if (_.isNaN(id)) {
+			throw new BadRequestError('You must pass a Number as an ID.');
+		}
+
+		return authorize(this, type, 'canUpdate', [id], context).then(() => {
+			return this._execute('restore', type, id, {
+				tenant: this.tenantFor(context)
+			}, context);
+		}).then((model) => {
+			return reloadRecord(this, type, model, _.omit(options, ['conditional', 'withDeleted', 'onlyDeleted']), context);
+		});
+	}
+
+	/**
+	 * Creates a list of Model records with a single transaction. Each payload is
+	 * deserialized and persisted like in the `create` method.
+	 *
+	 * By default the records are created all-or-nothing, the first failing payload rolls
+	 * back the transaction and rejects the Promise. With the `partial` option, each payload
+	 * is written within its own savepoint and the `results` of all payloads are added to the
+	 * `meta` of the serialized records, in the order of the payloads. A result contains the
+	 * `status` and the `id` of the record, or the `status`, `message` and field level `errors`
+	 * of a failing payload.
+	 *
+	 * The created records are reloaded and serialized with the Serializer of the type,
+	 * using the `include`, `fields` and `mediaType` options like in the `find` method.
+	 *
+	 * @method bulkCreate
+	 * @param  {String|Model} type
+	 * @param  {Array}        payloads
+	 * @param  {Object}       options
+	 * @param  {Object}       context
+	 * @return {Promise}
+	 */
+	bulkCreate(type, payloads, options, context) {
+		return executeBulk(this, type, 'create', payloads, options, context);
+	}
+
+	/**
+	 * Updates a list of Model records with a single transaction. Each payload must
+	 * contain the id of the record, and is persisted like in the `update` method.
+	 * Results are serialized like in the `bulkCreate` method, which describes the
+	 * `partial` option.
+	 *
+	 * @method bulkUpdate
+	 * @param  {String|Model} type
+	 * @param  {Array}        payloads
+	 * @param  {Object}       options
+	 * @param  {Object}       context
+	 * @return {Promise}
+	 */
+	bulkUpdate(type, payloads, options, context) {
+		return executeBulk(this, type, 'update', payloads, options, context);
+	}
+
+	/**
+	 * Deletes a list of Model records with a single transaction. Items are the ids
+	 * of the records, or Objects containing the `id`. The `partial` option is
+	 * supported like in the `bulkCreate` method, the result is serialized as an
+	 * empty list of records.
+	 *
+	 * @method bulkDelete
+	 * @param  {String|Model} type
+	 * @param  {Array}        ids
+	 * @param  {Object}       options
+	 * @param  {Object}       context
+	 * @return {Promise}
+	 */
+	bulkDelete(type, ids, options, context) {
+		return executeBulk(this, type, 'delete', ids, options, context);
 	}
 
 	/**
@@ -270,15 +944,25 @@ class RestAdapter {
 	 * @param  {String|Model} type
 	 * @param  {Numebr}       id
 	 * @param  {String|Model}  subtype
+	 * @param  {Object}        options
+	 * @param  {Object}        context
 	 * @return {Promise}
 	 */
-	findSubResources(type, id, subtype) {
+	findSubResources(type, id, subtype, options, context) {
 		const model = this.modelFor(type);
 		const associatedModel = findAssociationModel(model, subtype);
 
-		return this._execute('findSubResources', model, id, associatedModel).then((records) => {
-			const serializer = this.serializerFor(associatedModel);
-			return serializer.serialize(this, associatedModel, records);
+		return authorize(this, model, 'canRead', [id], context).then(() => {
+			return scopeQuery(this, associatedModel, {
+				tenant: this.tenantFor(context)
+			}, context);
+		}).then((query) => {
+			return runFindHooks(this, associatedModel, query, context, (query) => {
+				return this._execute('findSubResources', model, id, associatedModel, query, context);
+			});
+		}).then((records) => {
+			const serializer = this.serializerFor(associatedModel, _.get(options, 'mediaType'));
+			return serializer.serialize(this, associatedModel, records, undefined, undefined, context);
 		});
 	}
 
@@ -290,21 +974,36 @@ class RestAdapter {
 	 * @param  {Numebr}       id
 	 * @param  {String|Model} subtype
 	 * @param  {Number}       subId
+	 * @param  {Object}       options
+	 * @param  {Object}       context
 	 * @return {Promise}
 	 */
-	findSubResourceById(type, id, subtype, subId) {
+	findSubResourceById(type, id, subtype, subId, options, context) {
 		if (!subId) {
-			throw new RestError('You must define a subresource id', 400);
+			throw new BadRequestError('You must define a subresource id');
 		}
 
 		const model = this.modelFor(type);
 		const associatedModel = findAssociationModel(model, subtype);
 
-		return this._execute('findSubResources', model, id, associatedModel, {
-			id: subId
+		return authorize(this, model, 'canRead', [id], context).then(() => {
+			return authorize(this, associatedModel, 'canRead', [subId], context);
+		}).then(() => {
+			const query = {
+				where: primaryKey.parseId(associatedModel, subId),
+				tenant: this.tenantFor(context)
+			};
+
+			return runFindHooks(this, associatedModel, query, context, (query) => {
+				return this._execute('findSubResources', model, id, associatedModel, query, context);
+			});
 		}).then((records) => {
-			const serializer = this.serializerFor(associatedModel);
-			return serializer.serialize(this, associatedModel, _.first(records));
+			if (_.isEmpty(records)) {
+				throw new NotFoundError(`Can not find model '${associatedModel.name}'.`);
+			}
+
+			const serializer = this.serializerFor(associatedModel, _.get(options, 'mediaType'));
+			return serializer.serialize(this, associatedModel, _.first(records), undefined, undefined, context);
 		});
 	}
 
@@ -320,42 +1019,61 @@ class RestAdapter {
 	 * @param  {Numebr}       id
 	 * @param  {String|Model} subtype
 	 * @param  {Object}       payload
+	 * @param  {Object}       options
+	 * @param  {Object}       context
 	 * @return {Promise}
 	 */
-	createSubResources(type, id, subtype, payload) {
+	createSubResources(type, id, subtype, payload, options, context) {
 		const model = this.modelFor(type);
 		const associatedModel = findAssociationModel(model, subtype);
 		const deserializer = this.deserializerFor(associatedModel);
-		const data = deserializer.deserialize(this, associatedModel, payload);
+		const data = deserializer.deserialize(this, associatedModel, payload, context);
 
-		return this._execute('createSubResources', model, id, associatedModel, data).then((records) => {
-			const serializer = this.serializerFor(subtype);
-			return serializer.serialize(this, associatedModel, records);
+		return authorize(this, model, 'canRead', [id], context).then(() => {
+			return authorize(this, associatedModel, 'canCreate', [data], context);
+		}).then(() => {
+			return this._execute('createSubResources', model, id, associatedModel, data, {
+				hooks: this.hooksFor(associatedModel),
+				tenant: this.tenantFor(context)
+			}, context);
+		}).then((records) => {
+			const serializer = this.serializerFor(subtype, _.get(options, 'mediaType'));
+			return serializer.serialize(this, associatedModel, records, undefined, undefined, context);
 		});
 	}
 
 	/**
 	 * Find a Related Model [Subresources] for a Model with a given id.
 	 *
+	 * The `query` is either the id of the related record, or filters which are
+	 * built into a where query with the `buildWhere` function of the `filter` module.
+	 *
 	 * @method deleteSubResources
 	 * @param  {String|Model}  type
 	 * @param  {Numebr}        id
 	 * @param  {String|Model}  subtype
 	 * @param  {Object|Number} query
+	 * @param  {Object}        context
 	 * @return {Promise}
 	 */
-	deleteSubResources(type, id, subtype, query) {
-		if (!_.isPlainObject(query)) {
-			query = {
-				id: query
-			};
-		}
-
+	deleteSubResources(type, id, subtype, query, context) {
 		const model = this.modelFor(type);
 		const associatedModel = findAssociationModel(model, subtype);
 
-		return this._execute('deleteSubResources', model, id, associatedModel, {
-			where: query || {}
+		if (_.isPlainObject(query)) {
+			query = buildWhere(associatedModel, query);
+		} else {
+			query = primaryKey.parseId(associatedModel, query);
+		}
+
+		return authorize(this, model, 'canRead', [id], context).then(() => {
+			return authorize(this, associatedModel, 'canDelete', [query], context);
+		}).then(() => {
+			return this._execute('deleteSubResources', model, id, associatedModel, {
+				where: query || {},
+				hooks: this.hooksFor(associatedModel),
+				tenant: this.tenantFor(context)
+			}, context);
 		});
 	}
 
@@ -389,54 +1107,303 @@ class RestAdapter {
 
 }
 
+// Resolves the serializer for the media type, falling back to the one of the
+// `DefaultResolver` when the resolver has no serializer specific to the media type.
+function resolveSerializer(adapter, type, mediaType) {
+	const serializer = adapter.resolver.resolveSerializer(adapter.sequelize, type, mediaType);
+
+	if (serializer && (mediaType === 'application/json' || !isGenericSerializer(adapter, type, serializer))) {
+		return serializer;
+	}
+
+	return adapter._defaultResolver.resolveSerializer(adapter.sequelize, type, mediaType);
+}
+
+// Checks if the serializer is the one resolved for the type without a media type,
+// as resolvers which ignore the media type return it for every one of them.
+function isGenericSerializer(adapter, type, serializer) {
+	const generic = adapter.resolver.resolveSerializer(adapter.sequelize, type);
+
+	return !!generic && generic.constructor === serializer.constructor;
+}
+
 function isSequelizeModel(type) {
 	return _.isString(type.tableName) || typeof type.Instance === 'function';
 }
 
 function findAssociationModel(model, associatedType) {
-	const association = _.find(model.associations, (association) => {
-		return _.isString(association.as) && association.as.toLowerCase() === associatedType;
-	});
+	const association = include.findAssociation(model, associatedType);
 
 	if (_.isEmpty(association)) {
-		throw new RestError(`Association '${associatedType}' does not exists on '${associatedType}' resource.`, 404);
+		throw new NotFoundError(`Association '${associatedType}' does not exists on '${associatedType}' resource.`);
 	}
 
 	return association.target;
 }
 
-// Resolves the order query for a Model.
-// Default `sort` property is `updated_at` and
-// `order` is `DESC`.
-function resolveOrder(query) {
-	if (query.sort === undefined) {
-		return query.sort;
+// Resolves the associations that should be included for a resource, from
+// the `include` option or the default includes of the adapter.
+function resolveInclude(adapter, type, options) {
+	if (options && !_.isUndefined(options.include)) {
+		return include.parseInclude(options.include);
+	}
+
+	const name = adapter.resolver.normalizeTypeName(type).toLowerCase();
+	const key = _.findKey(adapter.options.includes, (value, key) => key.toLowerCase() === name);
+
+	return key ? include.parseInclude(adapter.options.includes[key]) : [];
+}
+
+// Resolves the `version` and `ifMatch` preconditions of a write,
+// which are only checked with the `optimisticLocking` option.
+function resolvePreconditions(adapter, options) {
+	return adapter.options.optimisticLocking ? _.pick(options, ['version', 'ifMatch']) : {};
+}
+
+// Options of the service write methods, containing the
+// preconditions, the hooks of the type and the tenant.
+function writeOptions(adapter, type, options, context) {
+	return _.assign(resolvePreconditions(adapter, options), {
+		hooks: adapter.hooksFor(type),
+		tenant: adapter.tenantFor(context)
+	});
+}
+
+// Reloads a written record with the options of the request
+function reloadRecord(adapter, type, record, options, context) {
+	return findRecord(adapter, type, primaryKey.recordId(adapter.modelFor(type), record), options, context);
+}
+
+// Finds a single record, used by the `findById` method and to reload written records
+function findRecord(adapter, type, id, options, context) {
+	const query = _.assign({
+		where: primaryKey.parseId(adapter.modelFor(type), id),
+		include: resolveInclude(adapter, type, options),
+		fields: _.get(options, 'fields'),
+		tenant: adapter.tenantFor(context)
+	}, _.pick(options, PARANOID_OPTIONS));
+
+	return executeFind(adapter, 'findOne', type, query, context).then((result) => {
+		return serializeResult(adapter, type, result, versionMeta(adapter, type, result), options, context);
+	});
+}
+
+// Checks the Policy of the type, rejects with a `403` when the action is not allowed
+function authorize(adapter, type, method, args, context) {
+	const policy = adapter.policyFor(type);
+
+	if (!policy) {
+		return when.resolve();
+	}
+
+	return when.try(() => policy[method].apply(policy, args.concat(context))).then((allowed) => {
+		if (!allowed) {
+			const action = _.lowerFirst(method.substring(3));
+			throw new ForbiddenError(`You are not allowed to ${action} '${adapter.resolver.normalizeTypeName(type)}'.`);
+		}
+	});
+}
+
+// Checks if the records of the type can be listed, and limits the query with the Policy scope
+function scopeQuery(adapter, type, query, context) {
+	return authorize(adapter, type, 'canFind', [], context).then(() => {
+		const policy = adapter.policyFor(type);
+		return policy ? policy.scope(query, context) : query;
+	});
+}
+
+// Finds the records with the service method, running the find hooks around it
+function executeFind(adapter, method, type, query, context) {
+	return runFindHooks(adapter, type, query, context, (query) => {
+		return adapter._execute(method, type, query, context);
+	});
+}
+
+// Runs the `beforeFind` hooks of the type with the query, which is passed to the
+// find function, and the `afterFind` hooks with the result of the find function
+function runFindHooks(adapter, type, query, context, find) {
+	const model = adapter.modelFor(type);
+	const typeHooks = adapter.hooksFor(type);
+
+	return hooks.runHooks(typeHooks, 'beforeFind', model, query, undefined, context).then(find).then((result) => {
+		return hooks.runHooks(typeHooks, 'afterFind', model, result, undefined, context);
+	});
+}
+
+// Collects the parameters of a list request, which are kept in the pagination
+// links. The page and the cursor are set by each link.
+function listParams(where, pageable, options) {
+	return _.assign({}, where, _.pick(pageable, ['sort', 'order', 'size']), _.pick(options, ['include', 'fields'].concat(PARANOID_OPTIONS)));
+}
+
+// Creates the meta containing the ETag of a record, or the
+// ETags of a list of records by their primary key.
+function versionMeta(adapter, type, payload) {
+	if (!adapter.options.optimisticLocking || !payload) {
+		return {};
 	}
 
-	var orders = ['ASC', 'DESC'];
-	var order = (query.order || 'DESC').toUpperCase();
+	const model = adapter.modelFor(type);
 
-	if (!_.includes(orders, order)) {
-		order = 'DESC';
+	if (!_.isArray(payload)) {
+		return {
+			etag: etag.recordETag(model, payload)
+		};
 	}
 
-	return query.sort + ' ' + order;
+	return {
+		etags: _.reduce(payload, (etags, record) => {
+			etags[primaryKey.recordId(model, record)] = etag.recordETag(model, record);
+			return etags;
+		}, {})
+	};
+}
+
+// Serializes the records, or creates a conditional response with their
+// validators when the `conditional` option is set. The `params` of a list
+// request are passed to the serializer for its pagination links.
+function serializeResult(adapter, type, records, meta, options, context, params) {
+	const serializer = adapter.serializerFor(type, _.get(options, 'mediaType'));
+	const conditional = _.get(options, 'conditional');
+
+	if (!conditional) {
+		return serializer.serialize(adapter, type, records, meta, undefined, context, params);
+	}
+
+	const model = adapter.modelFor(type);
+	const list = _.compact(_.castArray(records));
+	const validators = {
+		lastModified: etag.lastModified(model, list)
+	};
+
+	if (conditional === 'weak') {
+		validators.etag = etag.weakETag(model, list, _.pick(options, ['mediaType', 'include', 'fields']));
+	}
+
+	if (validators.etag && etag.isNotModified(validators, options)) {
+		return createConditionalResponse(304, validators);
+	}
+
+	const body = serializer.serialize(adapter, type, records, meta, undefined, context, params);
+
+	if (!validators.etag) {
+		validators.etag = etag.strongETag(body);
+	}
+
+	const status = etag.isNotModified(validators, options) ? 304 : 200;
+
+	return createConditionalResponse(status, validators, status === 200 ? body : undefined);
+}
+
+// The representation depends on the negotiated media type, so caches must vary on `Accept`
+function createConditionalResponse(status, validators, body) {
+	const headers = {
+		ETag: validators.etag,
+		Vary: 'Accept'
+	};
+
+	if (validators.lastModified) {
+		headers['Last-Modified'] = validators.lastModified.toUTCString();
+	}
+
+	return {
+		status, headers, body
+	};
+}
+
+// Writes the items with the bulk action in a single transaction, and serializes the written
+// records. With the `partial` option the result of each item is added to the meta.
+function executeBulk(adapter, type, name, items, options, context) {
+	const action = BULK_ACTIONS[name];
+	const partial = !!_.get(options, 'partial');
+
+	return when.try(() => {
+		return adapter._execute('bulk', type, items, (item, transaction) => action.write(adapter, type, item, transaction, options, context), {
+			partial
+		}, context);
+	}).then((results) => {
+		results = partial ? results : _.map(results, (result) => ({
+			result
+		}));
+
+		const ids = name === 'delete' ? [] : _.map(_.reject(results, 'error'), 'result');
+
+		return reloadRecords(adapter, type, ids, options, context).then((records) => {
+			const meta = {
+				size: records.length
+			};
+
+			if (partial) {
+				meta.results = _.map(results, (item) => item.error ? bulkError(item.error) : {
+					status: action.status,
+					id: item.result
+				});
+			}
+
+			return adapter.serializerFor(type, _.get(options, 'mediaType')).serialize(adapter, type, records, meta, undefined, context);
+		});
+	});
+}
+
+// Loads the records for the primary keys, in the same order
+function reloadRecords(adapter, type, ids, options, context) {
+	if (_.isEmpty(ids)) {
+		return when.resolve([]);
+	}
+
+	const model = adapter.modelFor(type);
+	const keys = _.map(ids, (id) => primaryKey.parseId(model, id));
+
+	// Each key attribute is matched with a list, composite keys are matched exactly afterwards
+	const where = _.reduce(primaryKey.primaryKeyAttributes(model), (where, attribute) => {
+		where[attribute] = _.uniq(_.map(keys, attribute));
+		return where;
+	}, {});
+
+	return adapter._execute('find', type, {
+		where,
+		include: resolveInclude(adapter, type, options),
+		fields: _.get(options, 'fields'),
+		tenant: adapter.tenantFor(context)
+	}, context).then((result) => {
+		return _.map(ids, (id) => _.find(result.rows, (record) => String(primaryKey.recordId(model, record)) === String(id)));
+	});
+}
+
+// Result of a failing item, messages of server errors are not exposed
+function bulkError(error) {
+	const status = error.statusCode || 500;
+	const result = {
+		status,
+		message: status >= 500 ? 'Internal Server Error' : error.message
+	};
+
+	if (status < 500 && !_.isEmpty(error.errors)) {
+		result.errors = error.errors;
+	}
+
+	return result;
 }
 
 // Resolves the offset, limit and sort for a query.
-// Default `offset` is `0` and `limit` is `30`
+// Default `offset` is `0` and `limit` is `30`, the
+// `order` is used as the default sort direction.
+// Offset is not used for the keyset pagination.
 function applyDefaultPageable(pageable) {
-	pageable = _.defaults({}, pageable, {
+	pageable = _.defaults({}, _.omit(pageable, 'order'), {
 		page: 1,
-		size: 30
+		size: 30,
+		direction: _.get(pageable, 'order')
 	});
 
 	const currentPage = parseInt(pageable.page, 10);
 	const size = parseInt(pageable.size, 10);
 
-	pageable.offset = (currentPage - 1) * size;
+	if (_.isUndefined(pageable.cursor)) {
+		pageable.offset = (currentPage - 1) * size;
+	}
+
 	pageable.limit = size;
-	pageable.order = resolveOrder(pageable);
 
 	return pageable;
 }
@@ -4,12 +4,50 @@ const _ = require('lodash');
 const when = require('when');
 const keys = require('when/keys');
 const sequence = require('when/sequence');
-const RestError = require('./error');
+const BadRequestError = require('./error').BadRequestError;
+const NotFoundError = require('./error').NotFoundError;
+const buildWhere = require('./filter').buildWhere;
+const castValue = require('./filter').castValue;
+const buildInclude = require('./include').buildInclude;
+const parseInclude = require('./include').parseInclude;
+const parseSort = require('./sort').parseSort;
+const buildOrder = require('./sort').buildOrder;
+const includePaths = require('./sort').includePaths;
+const applyFields = require('./fields').applyFields;
+const createCursor = require('./cursor').createCursor;
+const cursorWhere = require('./cursor').cursorWhere;
+const paginate = require('./cursor').paginate;
+const mapError = require('./sequelize-errors').mapError;
+const runHooks = require('./hooks').runHooks;
+const checkPrecondition = require('./etag').checkPrecondition;
+const incrementsVersion = require('./etag').incrementsVersion;
+const versionAttribute = require('./etag').versionAttribute;
+const isTenantScoped = require('./tenant').isTenantScoped;
+const scopeWhere = require('./tenant').scopeWhere;
+const assignTenant = require('./tenant').assignTenant;
+const primaryKeyAttributes = require('./primary-key').primaryKeyAttributes;
+const primaryKeyValues = require('./primary-key').primaryKeyValues;
+const hasPrimaryKey = require('./primary-key').hasPrimaryKey;
+const parseId = require('./primary-key').parseId;
 
 /**
  * Rest Service for handling Model Persistance logic. Can have
  * multiple implementations for each Model type.
  *
+ * Methods invoked by the {{#crossLink "RestSequelize.RestAdapter"}}{{/crossLink}}
+ * receive the `context` of the request as the last argument, like the current
+ * user or locale. The default implementation passes it to the hooks.
+ *
+ * Records are scoped by the `tenant` property of the queries and the `tenant` option
+ * of the write methods, an Object containing the `attribute` of the tenant column and
+ * its `value`, see the `tenant` module. Records of other tenants are never found, so
+ * reading or writing them is rejected with a `404`. Models without the tenant column
+ * are not scoped.
+ *
+ * Records are identified by the primary key of the Model, ids of composite primary
+ * keys are Objects or delimited Strings, see the `parseId` function of the
+ * `primary-key` module.
+ *
  * @class RestService
  * @extends RestSequelize.Object
  * @namespace RestSequelize
@@ -25,40 +63,92 @@ class RestService {
 	}
 
 	/**
-	 * Find a list of Models, including all declared
+	 * Find a list of Models, including the requested
 	 * associations, for a specific query and count them.
 	 *
 	 * @method find
 	 * @param  {Model}  type
 	 * @param  {Object} query
+	 * @param  {Object} context
+	 * @return {Promise}
+	 */
+	find(model, query /*, context */) {
+		return when.try(() => this.populate(model, query)).then((query) => {
+			return keys.all({
+				rows: model.findAll(query),
+				count: model.count(_.assign({
+					distinct: true
+				}, query))
+			});
+		});
+	}
+
+	/**
+	 * Find a page of Models using the keyset pagination. The page is
+	 * positioned by the `cursor` property of the query, which is an opaque
+	 * cursor returned by a previous page or empty for the first page. Models
+	 * are not counted.
+	 *
+	 * Resolves with an Object containing the `rows` and the `nextCursor`
+	 * and `prevCursor` of the page, see the `cursor` module.
+	 *
+	 * The cursors are encoded from the sort values of the records, so sort
+	 * attributes omitted from the `fields` are loaded and then removed from
+	 * the rows.
+	 *
+	 * @method findByCursor
+	 * @param  {Model}  type
+	 * @param  {Object} query
+	 * @param  {Object} context
 	 * @return {Promise}
 	 */
-	find(model, query) {
-		query = this.populate(model, query);
-
-		return keys.all({
-			rows: model.findAll(query),
-			count: model.count(_.assign({
-				distinct: true
-			}, query))
+	findByCursor(model, query /*, context */) {
+		let cursor;
+		let size;
+		let hidden = [];
+
+		return when.try(() => {
+			cursor = createCursor(model, query.sort, query.direction, query.cursor);
+			size = query.limit;
+
+			query = this.populate(model, _.assign(_.omit(query, ['cursor', 'offset', 'direction']), {
+				sort: cursor.sort
+			}));
+
+			if (query.attributes) {
+				hidden = _.difference(_.map(cursor.sort, 'path'), query.attributes);
+				query.attributes = query.attributes.concat(hidden);
+			}
+
+			query.where = cursorWhere(cursor, query.where);
+			query.limit = size ? size + 1 : undefined;
+
+			return model.findAll(query);
+		}).then((rows) => {
+			const page = paginate(cursor, rows, size || rows.length);
+
+			_.each(page.rows, (row) => _.each(hidden, (path) => delete row.dataValues[path]));
+
+			return page;
 		});
 	}
 
 	/**
-	 * Find one Model, including all declared
+	 * Find one Model, including the requested
 	 * associations, for a specific query.
 	 *
 	 * @method findOne
 	 * @param  {Model}  type
 	 * @param  {Object} query
+	 * @param  {Object} context
 	 * @return {Promise}
 	 */
-	findOne(model, query) {
-		query = this.populate(model, query);
-
-		return model.findOne(query).then(function(instance) {
+	findOne(model, query /*, context */) {
+		return when.try(() => this.populate(model, query)).then((query) => {
+			return model.findOne(query);
+		}).then(function(instance) {
 			if (!instance) {
-				return when.reject(new RestError(`Can not find model '${model.name}'.`, 404));
+				return when.reject(new NotFoundError(`Can not find model '${model.name}'.`));
 			}
 
 			return instance;
@@ -68,70 +158,221 @@ class RestService {
 	/**
 	 * Persist the Model with all his Associations to the Database.
 	 *
+	 * Validation and constraint errors are rejected as a `RestError`
+	 * with field level `errors`, see the `sequelize-errors` module.
+	 *
+	 * The Model is persisted with a new transaction, unless one is
+	 * passed with the `transaction` option.
+	 *
+	 * Existing records are checked against the `version` and `ifMatch` options,
+	 * see the `checkPrecondition` function of the `etag` module.
+	 *
+	 * The `beforeCreate` and `afterCreate` hooks of the `hooks` option are run for new
+	 * records, and the `beforeUpdate` and `afterUpdate` hooks for existing ones. Before
+	 * hooks receive the data, after hooks the saved record, together with the transaction
+	 * and the `context`. See the `runHooks` function of the `hooks` module.
+	 *
+	 * The tenant column is set from the `tenant` option, replacing the value of the
+	 * data. Existing records must belong to the tenant.
+	 *
+	 * Data without a primary key creates a new record. Primary keys which are not
+	 * generated by the Database, like composite keys, are assigned by the client,
+	 * so the record is looked up to find out if it is new.
+	 *
+	 * Empty association lists in the data are ignored, unless the `clearAssociations`
+	 * option is set, then all the associated records are removed.
+	 *
 	 * @method persist
 	 * @param  {Model}  model
 	 * @param  {Object} data
+	 * @param  {Object} options
+	 * @param  {Object} context
 	 * @return {Promise}
 	 */
-	persist(model, data) {
+	persist(model, data, options, context) {
 		if (_.isEmpty(data)) {
-			throw new RestError('An empty payload recieved from the request.', 400);
+			throw new BadRequestError('An empty payload recieved from the request.');
 		}
 
-		const tasks = [];
+		return when.try(() => isNewRecord(model, data, options)).then((isNew) => {
+			return writeInstance(this, model, isNew ? 'Create' : 'Update', data, options, context, (transaction) => {
+				const tenant = _.get(options, 'tenant');
+				const instance = model.build(assignTenant(model, data, tenant), {
+					isNewRecord: isNew
+				});
 
-		const options = {
-			isNewRecord: !data.id
-		};
+				if (isNew || !isTenantScoped(model, tenant)) {
+					return instance;
+				}
 
-		// Ignore it for now
-		// this.populate(model, options);
+				return this.findOne(model, {
+					where: primaryKeyValues(model, data),
+					tenant,
+					transaction
+				}).then(() => instance);
+			}, false);
+		});
+	}
 
-		const instance = model.build(data, options);
+	/**
+	 * Partially updates the Model for the given id. The record is loaded from the
+	 * Database and only the attributes and associations present in the data are changed.
+	 * Only the changed attributes are saved.
+	 *
+	 * The `version` and `ifMatch` options are checked and the update hooks are
+	 * run like in the `persist` method.
+	 *
+	 * @method patch
+	 * @param  {Model}  model
+	 * @param  {Number} id
+	 * @param  {Object} data
+	 * @param  {Object} options
+	 * @param  {Object} context
+	 * @return {Promise}
+	 */
+	patch(model, id, data, options, context) {
+		if (_.isEmpty(data)) {
+			throw new BadRequestError('An empty payload recieved from the request.');
+		}
 
-		// Add the task, which will persist the model
-		tasks.push((transaction) => {
-			return instance.save({
+		return writeInstance(this, model, 'Update', data, options, context, (transaction) => {
+			return this.findOne(model, {
+				where: parseId(model, id),
+				tenant: _.get(options, 'tenant'),
 				transaction
+			}).then((instance) => {
+				return instance.set(assignTenant(model, _.pick(data, updatableAttributes(model)), _.get(options, 'tenant')));
 			});
-		});
-
-		// Resolve association data
-		_.each(model.associations, (association) => {
-			const type = association.associationType;
-			const handler = 'persist' + type;
+		}, true);
+	}
 
-			if (typeof this[handler] === 'function') {
-				const task = this[handler].call(this, association, instance, data);
+	/**
+	 * Replaces the Model for the given id. The record is loaded from the Database,
+	 * the attributes present in the data are changed and the omitted nullable
+	 * attributes are reset to their default value, or `null` when they have none.
+	 * Primary keys and generated attributes, like timestamps, are never reset.
+	 * Associations are changed only when they are present in the data.
+	 * Only the changed attributes are saved.
+	 *
+	 * The `version` and `ifMatch` options are checked and the update hooks are
+	 * run like in the `persist` method.
+	 *
+	 * @method replace
+	 * @param  {Model}  model
+	 * @param  {Number} id
+	 * @param  {Object} data
+	 * @param  {Object} options
+	 * @param  {Object} context
+	 * @return {Promise}
+	 */
+	replace(model, id, data, options, context) {
+		if (_.isEmpty(data)) {
+			throw new BadRequestError('An empty payload recieved from the request.');
+		}
 
-				if (typeof task === 'function') {
-					if (type === 'BelongsTo') {
-						tasks.unshift(task);
-					} else {
-						tasks.push(task);
+		return writeInstance(this, model, 'Update', data, options, context, (transaction) => {
+			return this.findOne(model, {
+				where: parseId(model, id),
+				tenant: _.get(options, 'tenant'),
+				transaction
+			}).then((instance) => {
+				const defaults = model.build().dataValues;
+				const values = _.reduce(updatableAttributes(model), (values, name) => {
+					if (_.has(data, name)) {
+						values[name] = data[name];
+					} else if (model.attributes[name].allowNull !== false) {
+						values[name] = _.has(defaults, name) ? defaults[name] : null;
 					}
-				}
-			}
-		});
 
-		return executeTasks(this, tasks, instance);
+					return values;
+				}, {});
+
+				return instance.set(assignTenant(model, values, _.get(options, 'tenant')));
+			});
+		}, true);
 	}
 
 	/**
 	 * Delete the model for the given id.
 	 *
+	 * The `version` and `ifMatch` options are checked like in the `persist` method.
+	 * The record is deleted with a new transaction, unless one is passed with
+	 * the `transaction` option.
+	 *
+	 * Records of paranoid Models are only marked as deleted, unless the `force`
+	 * option is set. Soft deleted records can also be deleted with the `force` option.
+	 *
+	 * The `beforeDelete` and `afterDelete` hooks of the `hooks` option receive
+	 * the record, like the hooks of the `persist` method.
+	 *
 	 * @method delete
 	 * @param  {String}  type
 	 * @param  {Number}  id
+	 * @param  {Object}  options
+	 * @param  {Object}  context
 	 * @return {Promise}
 	 */
-	delete(model, id) {
-		return this.findOne(model, {
-			where: {
-				id
-			}
-		}).then((instance) => {
-			return instance.destroy();
+	delete(model, id, options, context) {
+		const force = _.get(options, 'force', false);
+
+		if (force) {
+			checkParanoid(model, 'force');
+		}
+
+		return withTransaction(this, _.get(options, 'transaction'), (transaction) => {
+			return this.findOne(model, {
+				where: parseId(model, id),
+				withDeleted: force,
+				tenant: _.get(options, 'tenant'),
+				transaction,
+				lock: transaction.LOCK.UPDATE
+			}).then((instance) => {
+				checkPrecondition(model, instance, options);
+
+				return runHooks(_.get(options, 'hooks'), 'beforeDelete', model, instance, transaction, context);
+			}).then((instance) => {
+				return instance.destroy({
+					transaction,
+					force
+				}).then(() => runHooks(_.get(options, 'hooks'), 'afterDelete', model, instance, transaction, context));
+			});
+		}).catch((error) => {
+			throw mapError(error, 'delete');
+		});
+	}
+
+	/**
+	 * Restores a soft deleted record of a paranoid Model for the given id.
+	 * Resolves with the restored record, records which are not deleted are
+	 * left unchanged.
+	 *
+	 * @method restore
+	 * @param  {Model}   model
+	 * @param  {Number}  id
+	 * @param  {Object}  options
+	 * @param  {Object}  context
+	 * @return {Promise}
+	 */
+	restore(model, id, options /*, context */) {
+		checkParanoid(model, 'restore');
+
+		return withTransaction(this, _.get(options, 'transaction'), (transaction) => {
+			return this.findOne(model, {
+				where: parseId(model, id),
+				withDeleted: true,
+				tenant: _.get(options, 'tenant'),
+				transaction
+			}).then((instance) => {
+				if (_.isNil(instance.get(model._timestampAttributes.deletedAt))) {
+					return instance;
+				}
+
+				return instance.restore({
+					transaction
+				}).then(() => instance);
+			});
+		}).catch((error) => {
+			throw mapError(error, 'persist');
 		});
 	}
 
@@ -139,19 +380,89 @@ class RestService {
 	 * Delete all models for the given query.
 	 *
 	 * This request is executed with a transaction, as it is considered
-	 * as a delicate one.
+	 * as a delicate one. Records are scoped by the `tenant` property of the query.
+	 *
+	 * When the `hooks` property of the query contains `beforeDelete` or `afterDelete`
+	 * hooks, the records are destroyed one by one and the hooks run for each of them,
+	 * like in the `delete` method. Resolves with the number of deleted records.
 	 *
 	 * @method deleteAll
 	 * @param  {String}  type
 	 * @param  {Object}  query
+	 * @param  {Object}  context
 	 * @return {Promise}
 	 */
-	deleteAll(model, query) {
+	deleteAll(model, query, context) {
 		query = query || {};
 
+		const hooks = query.hooks;
+
 		return this.transaction((transaction) => {
+			query.where = scopeWhere(model, query.where, query.tenant);
 			query.transaction = transaction;
-			return model.destroy(query);
+			delete query.tenant;
+			delete query.hooks;
+
+			if (!hasDeleteHooks(hooks)) {
+				return model.destroy(query);
+			}
+
+			return model.findAll(_.assign({
+				lock: transaction.LOCK.UPDATE
+			}, _.omit(query, 'force'))).then((instances) => {
+				return sequence(_.map(instances, (instance) => () => {
+					return runHooks(hooks, 'beforeDelete', model, instance, transaction, context).then(() => {
+						return instance.destroy({
+							transaction,
+							force: _.get(query, 'force', false)
+						});
+					}).then(() => runHooks(hooks, 'afterDelete', model, instance, transaction, context));
+				})).then(() => instances.length);
+			});
+		}).catch((error) => {
+			throw mapError(error, 'delete');
+		});
+	}
+
+	/**
+	 * Executes the callback for each item, one after another, with a single transaction.
+	 * The callback receives the item, the transaction and the index of the item.
+	 *
+	 * By default the items are written all-or-nothing, the first error rolls back the
+	 * transaction and rejects the Promise. With the `partial` option each item is executed
+	 * within its own savepoint, so a failing item is rolled back without affecting the
+	 * others. The Promise then resolves with a list containing an Object with the `result`
+	 * or the `error` of each item.
+	 *
+	 * @method bulk
+	 * @param  {Model}    model
+	 * @param  {Array}    items
+	 * @param  {Function} callback
+	 * @param  {Object}   options
+	 * @param  {Object}   context
+	 * @return {Promise}
+	 */
+	bulk(model, items, callback, options /*, context */) {
+		if (!_.isArray(items) || _.isEmpty(items)) {
+			throw new BadRequestError('Bulk operations require a list of items.');
+		}
+
+		const partial = _.get(options, 'partial');
+
+		return this.transaction((transaction) => {
+			return sequence(_.map(items, (item, index) => () => {
+				if (!partial) {
+					return callback(item, transaction, index);
+				}
+
+				return this.transaction({
+					transaction
+				}, (savepoint) => callback(item, savepoint, index)).then((result) => ({
+					result
+				}), (error) => ({
+					error: mapError(error, 'persist')
+				}));
+			}));
 		});
 	}
 
@@ -163,32 +474,66 @@ class RestService {
 	 * @param  {Number} id
 	 * @param  {Model}  subResource
 	 * @param  {Object} query
+	 * @param  {Object} context
 	 * @return {Promise}
 	 */
-	findSubResources(model, id, subResource, query) {
-		return resolveSubresourceInstance(model, id, subResource).spread((instance, association) => {
+	findSubResources(model, id, subResource, query /*, context */) {
+		const tenant = _.get(query, 'tenant');
+
+		return resolveSubresourceInstance(model, id, subResource, tenant).spread((instance, association) => {
 			const accessor = resolveAccessorMethod(instance, association, 'get');
-			return accessor.call(instance, query);
+			const options = _.omit(query, 'tenant');
+
+			options.where = scopeWhere(subResource, options.where, tenant);
+
+			return accessor.call(instance, options);
 		});
 	}
 
-	createSubResources(model, id, subResource, data) {
+	/**
+	 * Creates the records of this association, records containing
+	 * a primary key are added to the association.
+	 *
+	 * The parent record and the added records must belong to the tenant
+	 * of the `tenant` option, which is set on the created records.
+	 *
+	 * New records are written like in the `persist` method, so the `beforeCreate`
+	 * and `afterCreate` hooks of the `hooks` option are run for each of them.
+	 *
+	 * @method createSubResources
+	 * @param  {Model}        model
+	 * @param  {Number}       id
+	 * @param  {Model}        subResource
+	 * @param  {Object|Array} data
+	 * @param  {Object}       options
+	 * @param  {Object}       context
+	 * @return {Promise}
+	 */
+	createSubResources(model, id, subResource, data, options, context) {
+		const tenant = _.get(options, 'tenant');
+		const hooks = _.get(options, 'hooks');
+
 		return this.transaction((transaction) => {
-			return resolveSubresourceInstance(model, id, subResource).spread((instance, association) => {
+			return resolveSubresourceInstance(model, id, subResource, tenant).spread((instance, association) => {
 				const toUpdate = [];
 				const toCreate = [];
 
-				const createAccessor = resolveAccessorMethod(instance, association, 'create');
 				const updateAccessor = resolveAccessorMethod(instance, association, 'addMultiple');
 				const options = {
 					transaction: transaction
 				};
 
+				// Records of a `HasMany` association reference the parent with their foreign key,
+				// others are created on their own and then added to the association.
+				const linked = association.associationType === 'HasMany';
+
 				function resolveEntry(entry) {
-					if (entry.id !== undefined) {
+					if (hasPrimaryKey(subResource, entry)) {
 						toUpdate.push(entry);
 					} else {
-						toCreate.push(createAccessor.call(instance, entry, options));
+						toCreate.push(linked ? _.assign({}, entry, {
+							[association.foreignKey]: instance.get(association.sourceKey || model.primaryKeyAttribute)
+						}) : entry);
 					}
 				}
 
@@ -197,31 +542,47 @@ class RestService {
 				} else if (_.isObject(data)) {
 					resolveEntry(data);
 				} else {
-					throw new RestError('Invalid data sent to the server.', 400);
+					throw new BadRequestError('Invalid data sent to the server.');
 				}
 
-				return keys.all({
-					updated: updateAccessor.call(instance, toUpdate, options),
-					created: when.all(toCreate)
+				const create = () => sequence(_.map(toCreate, (entry) => () => {
+					return writeInstance(this, subResource, 'Create', entry, {
+						hooks,
+						tenant,
+						transaction
+					}, context, () => subResource.build(assignTenant(subResource, entry, tenant)), false);
+				})).then((records) => {
+					return linked ? records : updateAccessor.call(instance, records, options).then(() => records);
+				});
+
+				return checkTenantRecords(subResource, toUpdate, tenant, transaction).then(() => {
+					return keys.all({
+						updated: updateAccessor.call(instance, toUpdate, options),
+						created: create()
+					});
 				});
 			});
 		}).then(function(data) {
 			// merge data from mapped promise
 			return _.union(data.updated, data.created);
+		}, (error) => {
+			throw mapError(error, 'persist');
 		});
 	}
 
-	deleteSubResources(model, id, subResource, query) {
-		return resolveSubresourceInstance(model, id, subResource).spread((instance, association) => {
-			query.where[association.identifierField] = id;
-			return this.deleteAll(subResource, query);
+	deleteSubResources(model, id, subResource, query, context) {
+		return resolveSubresourceInstance(model, id, subResource, query.tenant).spread((instance, association) => {
+			// The foreign key references the key attribute of the parent, not its route id
+			query.where[association.identifierField] = instance.get(association.sourceKey || model.primaryKeyAttribute);
+			return this.deleteAll(subResource, query, context);
 		});
 	}
 
 	/**
 	 * Persists the `BelongsTo` Association type. If the request contains the data
 	 * with the association name, it will be either created or updated, depending
-	 * if the data contained the primary key.
+	 * if the data contained the primary key. The associated record must belong to
+	 * the tenant of the `tenant` option.
 	 *
 	 * This method returns a Function which will be executed before the model is
 	 * persisted in the Database. Function accepts a current Database Transacation
@@ -231,9 +592,10 @@ class RestService {
 	 * @param  {Association} association
 	 * @param  {Model}       model
 	 * @param  {Object}      data
+	 * @param  {Object}      options     Options of the write
 	 * @return {Function}
 	 */
-	persistBelongsTo(association, model, data) {
+	persistBelongsTo(association, model, data, options) {
 		const hash = data[association.as];
 
 		// return if the data is empty
@@ -243,7 +605,7 @@ class RestService {
 
 		return _.bind(function(transaction) {
 			const instance = association.target.build(hash, {
-				isNewRecord: !hash.id
+				isNewRecord: !hasPrimaryKey(association.target, hash)
 			});
 
 			let accessor;
@@ -254,21 +616,25 @@ class RestService {
 				accessor = association.accessors.set;
 			}
 
-			return model[accessor].call(model, instance, {
-				transaction: transaction,
-				validate: false
+			return checkTenantRecords(association.target, [instance], _.get(options, 'tenant'), transaction).then(() => {
+				return model[accessor].call(model, instance, {
+					transaction: transaction,
+					validate: false
+				});
 			});
 		}, this);
 	}
 
-	persistBelongsToMany(association, model, data) {
-		return this.persistHasMany(association, model, data);
+	persistBelongsToMany(association, model, data, options) {
+		return this.persistHasMany(association, model, data, options);
 	}
 
 	/**
 	 * Persits the `HasMany` Association type. If the request contains the list
 	 * of records which matches the Association name, they will be created or updated,
-	 * depending if the data contained the primary key.
+	 * depending if the data contained the primary key. An empty list is ignored, unless
+	 * the `clearAssociations` option is set, then it removes all the associated records.
+	 * Associated records must belong to the tenant of the `tenant` option.
 	 *
 	 * This method returns a Function which will be executed after the model is
 	 * persisted in the Database. Function accepts a current Database Transacation
@@ -278,13 +644,14 @@ class RestService {
 	 * @param  {Association} association
 	 * @param  {Model}       model
 	 * @param  {Object}      data
+	 * @param  {Object}      options     Options of the write
 	 * @return {Function}
 	 */
-	persistHasMany(association, model, data) {
+	persistHasMany(association, model, data, options) {
 		const records = data[association.as];
 
-		// return if the data is empty
-		if (_.isEmpty(records)) {
+		// return if the data is empty, an empty list only clears the association when requested
+		if (_.isEmpty(records) && !(_.isArray(records) && _.get(options, 'clearAssociations'))) {
 			return when.resolve();
 		}
 
@@ -292,11 +659,9 @@ class RestService {
 			// Build Model instances out of the hash and sort them
 			const models = _.reduce(records, (models, hash) => {
 				if (!_.isPlainObject(hash)) {
-					hash = {
-						id: hash
-					};
+					hash = parseId(association.target, hash);
 				}
-				const isNewRecord = !hash.id;
+				const isNewRecord = !hasPrimaryKey(association.target, hash);
 
 				if (!isNewRecord) {
 					const instance = association.target.build(hash, {
@@ -309,8 +674,10 @@ class RestService {
 			}, []);
 
 			return (transaction) => {
-				return model[association.accessors.set].call(model, models, {
-					transaction
+				return checkTenantRecords(association.target, models, _.get(options, 'tenant'), transaction).then(() => {
+					return model[association.accessors.set].call(model, models, {
+						transaction
+					});
 				});
 			};
 		}
@@ -336,7 +703,31 @@ class RestService {
 	}
 
 	/**
-	 * Include the related records for the given model in the Query.
+	 * Include the related records for the given model in the Query, and
+	 * build the where query from the filters received from the client.
+	 *
+	 * Only the associations listed in the `include` property of the query
+	 * are included, see the `buildInclude` function of the `include` module.
+	 * Associations used as a filter in the where query are always included.
+	 *
+	 * The `sort` property is converted into the `order` of the query, where the
+	 * `direction` property is the default sort direction. Associations used for
+	 * sorting are always included, see the `parseSort` and `buildOrder` functions
+	 * of the `sort` module.
+	 *
+	 * The `fields` property limits the attributes loaded for the model and
+	 * its included associations, see the `applyFields` function of the
+	 * `fields` module.
+	 *
+	 * Soft deleted records of paranoid Models are found with the `withDeleted` property,
+	 * and only soft deleted records with the `onlyDeleted` property. A `RestError` with
+	 * status `400` is thrown when they are used for a Model which is not paranoid.
+	 *
+	 * The `tenant` property adds the tenant condition to the where query, see
+	 * the `scopeWhere` function of the `tenant` module.
+	 *
+	 * See the `buildWhere` function of the `filter` module for the
+	 * supported filter syntax.
 	 *
 	 * @method populate
 	 * @param  {Model} model
@@ -344,51 +735,56 @@ class RestService {
 	 * @return {Query}
 	 */
 	populate(model, payload = {}) {
+		const associations = _.map(model.associations, 'as');
+		const sort = parseSort(payload.sort, payload.direction);
 		const query = {
-			where: {},
-			include: []
+			where: buildWhere(model, _.omit(payload.where, associations)),
+			include: buildInclude(model, parseInclude(payload.include).concat(includePaths(sort)))
 		};
 
-		_.each(model.attributes, (attribute) => {
-			if (_.has(payload.where, attribute.fieldName)) {
-				if (_.has(payload.where, attribute.fieldName)) {
-					const value = _.get(payload.where, attribute.fieldName);
+		if (!_.isEmpty(sort)) {
+			query.order = buildOrder(model, sort);
+		}
 
-					if (_.includes(value, '%')) {
-						query.where[attribute.fieldName] = {
-							'$iLike': value
-						};
-					} else {
-						query.where[attribute.fieldName] = value;
-					}
-				}
+		// Filter by the primary keys of the related records
+		_.each(model.associations, (association) => {
+			const value = _.get(payload.where, association.as);
+
+			if (_.isEmpty(value) && !_.isNumber(value)) {
+				return;
 			}
-		});
 
-		_.each(model.associations, (association) => {
-			const include = {
-				model: association.target,
-				as: association.as
-			};
+			let include = _.find(query.include, (include) => include.as === association.as);
 
-			if (_.has(payload.where, association.as)) {
-				const value = _.get(payload.where, association.as);
+			if (!include) {
+				include = {
+					model: association.target,
+					as: association.as
+				};
 
-				if (!_.isEmpty(value)) {
-					const key = association.target.primaryKeyAttribute;
-					include.where = {};
-					include.where[key] = value;
-				}
+				query.include.push(include);
 			}
 
-			query.include.push(include);
+			include.where = associationWhere(association.target, value);
 		});
 
+		applyFields(model, query, payload.fields);
+		applyParanoid(model, query, payload);
+
+		query.where = scopeWhere(model, query.where, payload.tenant);
+
+		delete payload.tenant;
+		delete payload.fields;
+		delete payload.withDeleted;
+		delete payload.onlyDeleted;
+		delete payload.sort;
+		delete payload.direction;
+
 		return _.assign(payload, query);
 	}
 }
 
-function resolveSubresourceInstance(model, id, subResource) {
+function resolveSubresourceInstance(model, id, subResource, tenant) {
 	const association = _.find(model.associations, (association) => {
 		if (association.target.name === subResource.name) {
 			return association;
@@ -396,18 +792,69 @@ function resolveSubresourceInstance(model, id, subResource) {
 	});
 
 	if (!association || _.isEmpty(association)) {
-		return when.reject(new RestError(`No subresource with name '${subResource}' found`, 400));
+		return when.reject(new BadRequestError(`No subresource with name '${subResource}' found`));
 	}
 
-	return model.findById(id).then((instance) => {
+	return when.try(() => {
+		return model.findOne({
+			where: scopeWhere(model, parseId(model, id), tenant)
+		});
+	}).then((instance) => {
 		if (!instance) {
-			return when.reject(new RestError(`Can not find model '${model.name}'.`, 404));
+			return when.reject(new NotFoundError(`Can not find model '${model.name}'.`));
 		}
 
 		return [instance, association];
 	});
 }
 
+// Records are only destroyed one by one when there are delete hooks to run
+function hasDeleteHooks(hooks) {
+	return !_.isEmpty(_.get(hooks, 'beforeDelete')) || !_.isEmpty(_.get(hooks, 'afterDelete'));
+}
+
+// Matches the related records by their ids. Single primary keys are compared with the
+// value as it is, which can be a list, composite ids are parsed into a condition per id.
+function associationWhere(model, value) {
+	const attributes = primaryKeyAttributes(model);
+
+	if (attributes.length === 1) {
+		const attribute = model.attributes[attributes[0]];
+
+		return {
+			[attributes[0]]: _.isArray(value) ? _.map(value, (id) => castValue(attribute, id)) : castValue(attribute, value)
+		};
+	}
+
+	const conditions = _.map(_.castArray(value), (id) => {
+		return _.mapValues(parseId(model, id), (value, name) => castValue(model.attributes[name], value));
+	});
+
+	return conditions.length === 1 ? conditions[0] : {
+		$or: conditions
+	};
+}
+
+// Records added to an association must belong to the tenant
+function checkTenantRecords(model, records, tenant, transaction) {
+	if (_.isEmpty(records) || !isTenantScoped(model, tenant)) {
+		return when.resolve();
+	}
+
+	const keys = _.uniqWith(_.map(records, (record) => primaryKeyValues(model, record)), _.isEqual);
+
+	return model.count({
+		where: scopeWhere(model, {
+			$or: keys
+		}, tenant),
+		transaction
+	}).then((count) => {
+		if (count !== keys.length) {
+			throw new NotFoundError(`Can not find model '${model.name}'.`);
+		}
+	});
+}
+
 function resolveAccessorMethod(instance, association, accessorKey) {
 	var accessor = association.accessors[accessorKey];
 
@@ -418,11 +865,163 @@ function resolveAccessorMethod(instance, association, accessorKey) {
 	return instance[accessor];
 }
 
-function executeTasks(service, tasks, model) {
-	// Execute all tasks with a transaction
-	return service.transaction(function(transaction) {
+// Attributes which can be changed by the client, primary keys
+// and generated attributes like timestamps are left out.
+function updatableAttributes(model) {
+	return _.filter(_.keys(model.attributes), (name) => {
+		const attribute = model.attributes[name];
+		return !attribute.primaryKey && !attribute._autoGenerated;
+	});
+}
+
+// Writes a record with a new transaction, or the one from the options. The before hook
+// runs before the instance is prepared from the data, and the after hook once it is saved.
+function writeInstance(service, model, hook, data, options, context, prepare, partial) {
+	options = options || {};
+
+	return withTransaction(service, options.transaction, (transaction) => {
+		const hookOptions = _.assign({}, options, {
+			transaction
+		});
+
+		return runHooks(options.hooks, `before${hook}`, model, data, transaction, context).then(() => {
+			return prepare(transaction);
+		}).then((instance) => {
+			return saveInstance(service, model, instance, data, partial, hookOptions);
+		}).then((instance) => {
+			return runHooks(options.hooks, `after${hook}`, model, instance, transaction, context);
+		});
+	}).catch((error) => {
+		throw mapError(error, 'persist');
+	});
+}
+
+// Saves the instance together with the associations present in the data, using the
+// `persist` handlers of the service. When `partial` is set only changed attributes are saved.
+function saveInstance(service, model, instance, data, partial, options) {
+	const tasks = [];
+
+	// Add the task, which will persist the model
+	tasks.push((transaction) => {
+		const options = {
+			transaction
+		};
+
+		if (partial) {
+			options.fields = instance.changed() || [];
+		}
+
+		return instance.save(options);
+	});
+
+	// Resolve association data
+	_.each(model.associations, (association) => {
+		const type = association.associationType;
+		const handler = 'persist' + type;
+
+		if (typeof service[handler] === 'function') {
+			const task = service[handler].call(service, association, instance, data, options);
+
+			if (typeof task === 'function') {
+				if (type === 'BelongsTo') {
+					tasks.unshift(task);
+				} else {
+					tasks.push(task);
+				}
+			}
+		}
+	});
+
+	// Check the preconditions and increment the version before all other tasks
+	if (!instance.isNewRecord && (hasPrecondition(options) || incrementsVersion(model))) {
+		tasks.unshift((transaction) => {
+			return model.findOne({
+				where: primaryKeyValues(model, instance),
+				transaction,
+				lock: transaction.LOCK.UPDATE
+			}).then((current) => {
+				if (!current) {
+					throw new NotFoundError(`Can not find model '${model.name}'.`);
+				}
+
+				checkPrecondition(model, current, options);
+
+				if (incrementsVersion(model)) {
+					const attribute = versionAttribute(model);
+					instance.set(attribute, (current.get(attribute) || 0) + 1);
+				}
+			});
+		});
+	}
+
+	return executeTasks(service, tasks, instance, _.get(options, 'transaction')).catch((error) => {
+		throw mapError(error, 'persist');
+	});
+}
+
+// Records without a primary key are new, keys which are not generated by the
+// Database are assigned by the client, so the record is looked up
+function isNewRecord(model, data, options) {
+	if (!hasPrimaryKey(model, data)) {
+		return true;
+	}
+
+	if (_.some(primaryKeyAttributes(model), (attribute) => model.attributes[attribute].autoIncrement)) {
+		return false;
+	}
+
+	return model.count({
+		where: primaryKeyValues(model, data),
+		transaction: _.get(options, 'transaction')
+	}).then((count) => count === 0);
+}
+
+function hasPrecondition(options) {
+	return !_.isNil(_.get(options, 'version')) || !_.isNil(_.get(options, 'ifMatch'));
+}
+
+// Paranoid Models mark their records as deleted with the `deletedAt` timestamp
+function checkParanoid(model, option) {
+	if (!model.options.paranoid) {
+		throw new BadRequestError(`Model '${model.name}' is not paranoid, '${option}' is not supported.`);
+	}
+}
+
+// Includes soft deleted records with the `withDeleted` and `onlyDeleted` properties
+function applyParanoid(model, query, payload) {
+	if (!payload.withDeleted && !payload.onlyDeleted) {
+		return;
+	}
+
+	checkParanoid(model, payload.onlyDeleted ? 'onlyDeleted' : 'withDeleted');
+
+	query.paranoid = false;
+
+	if (payload.onlyDeleted) {
+		const deleted = {
+			[model._timestampAttributes.deletedAt]: {
+				$ne: null
+			}
+		};
+
+		query.where = _.isEmpty(query.where) ? deleted : {
+			$and: [query.where, deleted]
+		};
+	}
+}
+
+// Runs the callback with the given transaction, or a new one
+function withTransaction(service, transaction, callback) {
+	return transaction ? when.try(callback, transaction) : service.transaction(callback);
+}
+
+function executeTasks(service, tasks, model, transaction) {
+	// Execute all tasks with the given or a new transaction
+	const execute = transaction ? when(sequence(tasks, transaction)) : service.transaction(function(transaction) {
 		return sequence(tasks, transaction);
-	}).then(function() {
+	});
+
+	return execute.then(function() {
 		return model;
 	});
 }
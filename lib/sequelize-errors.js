@@ -0,0 +1,124 @@
+"use strict";
+
+const _ = require('lodash');
+const RestError = require('./error');
+const BadRequestError = require('./error').BadRequestError;
+const ConflictError = require('./error').ConflictError;
+const UnprocessableEntityError = require('./error').UnprocessableEntityError;
+
+/**
+ * Maps the errors rejected by Sequelize to a `RestError` with a matching
+ * status code and a field level `errors` list, where each entry contains
+ * the `path`, the `message` and the `validator` which failed:
+ *
+ *  - `ValidationError`: `422`
+ *  - `UniqueConstraintError`: `409`
+ *  - `ForeignKeyConstraintError`: `400` when the record references a missing record,
+ *    `409` when the `delete` action removes a record which is still referenced
+ *  - `DatabaseError`: `500`
+ *
+ * The Sequelize error is kept as the `cause` of the `RestError`, so it can be
+ * logged. Other errors are returned as they are.
+ *
+ * @method mapError
+ * @for RestSequelize
+ * @param  {Error}  error
+ * @param  {String} action `persist` or `delete`
+ * @return {Error}
+ */
+function mapError(error, action) {
+	if (!error || error instanceof RestError) {
+		return error;
+	}
+
+	const mapped = createError(error, action);
+
+	if (mapped !== error) {
+		mapped.cause = error;
+	}
+
+	return mapped;
+}
+
+// Creates the `RestError` for a Sequelize error
+function createError(error, action) {
+	switch (error.name) {
+		case 'SequelizeValidationError':
+			return new UnprocessableEntityError(error.message, fieldErrors(error));
+		case 'SequelizeUniqueConstraintError':
+			return new ConflictError(uniqueMessage(error), fieldErrors(error));
+		case 'SequelizeForeignKeyConstraintError':
+			if (action === 'delete') {
+				return new ConflictError('Record is still referenced by other records.');
+			}
+
+			return new BadRequestError('Foreign key constraint violated.', _.map(constraintFields(error), (path) => {
+				return {
+					path,
+					message: `${path} references a missing record`,
+					validator: 'foreignKey'
+				};
+			}));
+		case 'SequelizeDatabaseError':
+		case 'SequelizeTimeoutError':
+		case 'SequelizeExclusionConstraintError':
+			return new RestError(error.message, 500);
+		default:
+			return error;
+	}
+}
+
+// Converts the `ValidationErrorItem` list of a Sequelize `ValidationError`
+function fieldErrors(error) {
+	return _.map(error.errors, (item) => {
+		return {
+			path: item.path,
+			message: item.message,
+			validator: validatorFor(item)
+		};
+	});
+}
+
+// Resolves the name of the validator which failed. Built in validators
+// create messages like `Validation isEmail failed` when no custom message
+// is defined, constraint violations are known by their type.
+function validatorFor(item) {
+	if (item.validatorKey) {
+		return item.validatorKey;
+	}
+
+	if (item.type === 'notNull Violation') {
+		return 'notNull';
+	}
+
+	if (item.type === 'unique violation') {
+		return 'unique';
+	}
+
+	const match = /^Validation (\w+) failed$/.exec(item.message);
+
+	return match ? match[1] : null;
+}
+
+function uniqueMessage(error) {
+	const paths = _.compact(_.map(error.errors, 'path'));
+
+	if (_.isEmpty(paths)) {
+		return 'Unique constraint violated.';
+	}
+
+	return `Unique constraint violated for '${paths.join(', ')}'.`;
+}
+
+// Dialects define the fields of a constraint error as a list or as a hash
+function constraintFields(error) {
+	if (_.isArray(error.fields)) {
+		return error.fields;
+	}
+
+	return _.keys(error.fields);
+}
+
+module.exports = {
+	mapError
+};
@@ -19,21 +19,26 @@ class Serializer {
 	 * By default this function returns a `toJSON` representation
 	 * of the Sequelize Model.
 	 *
+	 * The `context` of the request is passed by the adapter,
+	 * and is forwarded to the `serializeRecord` method.
+	 *
 	 * @method serialize
 	 * @param  {RestAdapter}    adapter
 	 * @param  {Model}          model
 	 * @param  {Instance|Array} payload
 	 * @param  {Object          meta
 	 * @param  {Numbser}        status
+	 * @param  {Object}         context
+	 * @param  {Object}         query   Parameters of the list request, used for pagination links
 	 * @return {Object}
 	 */
-	serialize(adapter, model, payload, meta, status) {
+	serialize(adapter, model, payload, meta, status, context /*, query */) {
 		let serialized;
 
 		if (_.isArray(payload)) {
-			serialized = _.map(payload, (record) => this.serializeRecord(record) );
+			serialized = _.map(payload, (record) => this.serializeRecord(record, context) );
 		} else {
-			serialized = this.serializeRecord(payload);
+			serialized = this.serializeRecord(payload, context);
 		}
 
 		meta = meta || {};
@@ -49,9 +54,10 @@ class Serializer {
 	 * Serializes a single record.
 	 * 
 	 * @param  {Instance} record
+	 * @param  {Object}   context
 	 * @return {Object}
 	 */
-	serializeRecord(record) {
+	serializeRecord(record /*, context */) {
 		if (_.isFunction(record.toJSON)) {
 			return record.toJSON();
 		}
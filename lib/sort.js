@@ -0,0 +1,148 @@
+"use strict";
+
+const _ = require('lodash');
+const BadRequestError = require('./error').BadRequestError;
+const findAssociation = require('./include').findAssociation;
+
+/**
+ * Available sort directions.
+ *
+ * @property DIRECTIONS
+ * @type {Array}
+ * @private
+ */
+const DIRECTIONS = ['ASC', 'DESC'];
+
+/**
+ * Parses the sort received from the client into a list of Objects containing
+ * the `path` and the `direction` of each sort entry.
+ *
+ * Sort can be passed as an Array or a comma separated String of attribute paths,
+ * like `-createdAt,name,tasks.name`. Paths prefixed with a `-` are sorted in a
+ * descending direction, paths prefixed with a `+` in an ascending direction. The
+ * direction of other paths is set by the `direction` argument, which defaults to `ASC`.
+ * Entries can also be Objects containing the `path` and an optional `direction`.
+ *
+ * A `RestError` with status `400` is thrown for an unknown direction, or an entry without a path.
+ *
+ * @method parseSort
+ * @param  {String|Array} value
+ * @param  {String}       direction
+ * @return {Array}
+ */
+function parseSort(value, direction) {
+	direction = _.toUpper(direction || 'ASC');
+
+	if (!_.includes(DIRECTIONS, direction)) {
+		throw new BadRequestError(`Unknown sort direction '${direction}'.`);
+	}
+
+	if (_.isString(value)) {
+		value = value.split(',');
+	}
+
+	return _.compact(_.map(_.castArray(value), (path) => {
+		if (_.isPlainObject(path)) {
+			return parseEntry(path, direction);
+		}
+
+		path = _.trim(path);
+
+		if (_.isEmpty(path)) {
+			return;
+		}
+
+		if (path[0] === '-' || path[0] === '+') {
+			return {
+				path: path.substring(1),
+				direction: path[0] === '-' ? 'DESC' : 'ASC'
+			};
+		}
+
+		return {
+			path, direction
+		};
+	}));
+}
+
+/**
+ * Builds the Sequelize `order` from the parsed sort. The last segment of each path is
+ * an attribute, all other segments are associations, for example `tasks.name` would
+ * sort by the `name` attribute of the `Tasks` association. Names are matched against
+ * the Model attributes and associations, associations are compared case insensitively.
+ *
+ * A `RestError` with status `400` is thrown for an unknown association or attribute.
+ *
+ * @method buildOrder
+ * @param  {Model} model
+ * @param  {Array} sort
+ * @return {Array}
+ */
+function buildOrder(model, sort) {
+	return _.map(sort, (entry) => {
+		const segments = entry.path.split('.');
+		const attribute = segments.pop();
+		const order = [];
+
+		let target = model;
+
+		_.each(segments, (name) => {
+			const association = findAssociation(target, name);
+
+			if (!association) {
+				throw new BadRequestError(`Unknown association '${name}' for '${target.name}' in sort '${entry.path}'.`);
+			}
+
+			target = association.target;
+			order.push({
+				model: target,
+				as: association.as
+			});
+		});
+
+		if (!_.has(target.attributes, attribute)) {
+			throw new BadRequestError(`Unknown attribute '${attribute}' for '${target.name}' in sort '${entry.path}'.`);
+		}
+
+		return order.concat(attribute, entry.direction);
+	});
+}
+
+/**
+ * Returns the association paths which need to be included in
+ * the query in order to sort by the attributes of associations.
+ *
+ * @method includePaths
+ * @param  {Array} sort
+ * @return {Array}
+ */
+function includePaths(sort) {
+	return _.uniq(_.compact(_.map(sort, (entry) => {
+		return _.initial(entry.path.split('.')).join('.');
+	})));
+}
+
+// Validates a sort entry passed as an Object
+function parseEntry(entry, direction) {
+	const path = _.isString(entry.path) ? _.trim(entry.path) : '';
+
+	if (_.isEmpty(path)) {
+		throw new BadRequestError(`Invalid sort entry '${JSON.stringify(entry)}', expected a path.`);
+	}
+
+	direction = entry.direction ? _.toUpper(entry.direction) : direction;
+
+	if (!_.includes(DIRECTIONS, direction)) {
+		throw new BadRequestError(`Unknown sort direction '${direction}'.`);
+	}
+
+	return {
+		path, direction
+	};
+}
+
+module.exports = {
+	parseSort,
+	buildOrder,
+	includePaths
+};
@@ -0,0 +1,104 @@
+"use strict";
+
+const _ = require('lodash');
+const ForbiddenError = require('./error').ForbiddenError;
+
+/**
+ * Resolves the tenant of a request from the `tenant` option of the adapter, which
+ * is an Object containing the `attribute` of the tenant column and the `value`.
+ * The value is a function receiving the `context` of the request, or a property
+ * path of the context, `tenant` by default.
+ *
+ * Returns an Object with the `attribute` and the resolved `value`, or `undefined`
+ * when the option is not set.
+ *
+ * @method resolveTenant
+ * @for RestSequelize
+ * @param  {Object} options
+ * @param  {Object} context
+ * @return {Object}
+ */
+function resolveTenant(options, context) {
+	if (_.isEmpty(options)) {
+		return;
+	}
+
+	const value = _.isFunction(options.value) ? options.value(context) : _.get(context, options.value || 'tenant');
+
+	return {
+		attribute: options.attribute,
+		value
+	};
+}
+
+/**
+ * Checks if the records of the Model are scoped by the tenant, which is the
+ * case when the Model has the tenant column. A `RestError` with status `403`
+ * is thrown when the Model is scoped, but the request has no tenant.
+ *
+ * @method isTenantScoped
+ * @for RestSequelize
+ * @param  {Model}   model
+ * @param  {Object}  tenant
+ * @return {Boolean}
+ */
+function isTenantScoped(model, tenant) {
+	if (!tenant || !_.has(model.attributes, tenant.attribute)) {
+		return false;
+	}
+
+	if (_.isNil(tenant.value)) {
+		throw new ForbiddenError(`A tenant is required to access '${model.name}'.`);
+	}
+
+	return true;
+}
+
+/**
+ * Adds the tenant condition to the `where` clause of a query.
+ *
+ * @method scopeWhere
+ * @for RestSequelize
+ * @param  {Model}  model
+ * @param  {Object} where
+ * @param  {Object} tenant
+ * @return {Object}
+ */
+function scopeWhere(model, where, tenant) {
+	if (!isTenantScoped(model, tenant)) {
+		return where;
+	}
+
+	const condition = {
+		[tenant.attribute]: tenant.value
+	};
+
+	return _.isEmpty(where) ? condition : {
+		$and: [where, condition]
+	};
+}
+
+/**
+ * Sets the tenant column of the data, replacing the value sent by the client.
+ *
+ * @method assignTenant
+ * @for RestSequelize
+ * @param  {Model}  model
+ * @param  {Object} data
+ * @param  {Object} tenant
+ * @return {Object}
+ */
+function assignTenant(model, data, tenant) {
+	if (isTenantScoped(model, tenant)) {
+		data[tenant.attribute] = tenant.value;
+	}
+
+	return data;
+}
+
+module.exports = {
+	resolveTenant,
+	isTenantScoped,
+	scopeWhere,
+	assignTenant
+};
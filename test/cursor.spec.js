@@ -0,0 +1,127 @@
+/* globals describe, it */
+"use strict";
+
+const chai = require('chai');
+const database = require('./server').connect();
+const cursor = require('../lib/cursor');
+
+const assert = chai.assert;
+const expect = chai.expect;
+
+const User = database.models.User;
+
+describe('Cursor', function() {
+
+	describe('#encodeCursor', function() {
+
+		it('should encode and decode the cursor values', function() {
+			const encoded = cursor.encodeCursor(['Foo/Bar?', 1], true);
+
+			assert.match(encoded, /^[\w-]+$/);
+			assert.deepEqual(cursor.decodeCursor(encoded), {
+				values: ['Foo/Bar?', 1],
+				before: true
+			});
+		});
+
+		it('should decode an empty cursor', function() {
+			assert.isNull(cursor.decodeCursor(''));
+			assert.isNull(cursor.decodeCursor(undefined));
+		});
+
+		it('should throw an error for an invalid cursor', function() {
+			expect(function() {
+				cursor.decodeCursor('foo');
+			}).to.throw('Invalid cursor.').with.property('statusCode', 400);
+		});
+
+		it('should throw an error for a cursor with values that are not scalars', function() {
+			expect(function() {
+				cursor.decodeCursor(cursor.encodeCursor([{
+					$gt: 1
+				}], false));
+			}).to.throw('Invalid cursor.').with.property('statusCode', 400);
+
+			expect(function() {
+				cursor.decodeCursor(cursor.encodeCursor([[1, 2]], false));
+			}).to.throw('Invalid cursor.').with.property('statusCode', 400);
+		});
+
+	});
+
+	describe('#createCursor', function() {
+
+		it('should add the primary key to the sort', function() {
+			assert.deepEqual(cursor.createCursor(User, '-name').sort, [{
+				path: 'name',
+				direction: 'DESC'
+			}, {
+				path: 'id',
+				direction: 'ASC'
+			}]);
+		});
+
+		it('should reverse the sort for the previous page', function() {
+			const created = cursor.createCursor(User, '-name', null, cursor.encodeCursor(['Foo', '2'], true));
+
+			assert.isTrue(created.before);
+			assert.deepEqual(created.values, ['Foo', 2]);
+			assert.deepEqual(created.sort, [{
+				path: 'name',
+				direction: 'ASC'
+			}, {
+				path: 'id',
+				direction: 'DESC'
+			}]);
+		});
+
+		it('should throw an error for association attributes', function() {
+			expect(function() {
+				cursor.createCursor(User, 'tasks.name');
+			}).to.throw('Unknown attribute \'tasks.name\' for \'User\' in cursor sort.').with.property('statusCode', 400);
+		});
+
+		it('should throw an error for a cursor of a different sort', function() {
+			expect(function() {
+				cursor.createCursor(User, 'name', null, cursor.encodeCursor([1], false));
+			}).to.throw('Invalid cursor.').with.property('statusCode', 400);
+		});
+
+	});
+
+	describe('#cursorWhere', function() {
+
+		it('should build the keyset conditions', function() {
+			const created = cursor.createCursor(User, '-name', null, cursor.encodeCursor(['Foo', 2], false));
+
+			assert.deepEqual(cursor.cursorWhere(created, {
+				email: 'foo@bar.com'
+			}), {
+				$and: [{
+					email: 'foo@bar.com'
+				}, {
+					$or: [{
+						name: {
+							$lt: 'Foo'
+						}
+					}, {
+						name: 'Foo',
+						id: {
+							$gt: 2
+						}
+					}]
+				}]
+			});
+		});
+
+		it('should not change the where query for the first page', function() {
+			const where = {
+				name: 'Foo'
+			};
+
+			assert.strictEqual(cursor.cursorWhere(cursor.createCursor(User, 'name'), where), where);
+		});
+
+	});
+
+});
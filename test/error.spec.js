@@ -0,0 +1,80 @@
+/* globals describe, it */
+"use strict";
+
+const chai = require('chai');
+const RestSequelize = require('..');
+
+const assert = chai.assert;
+const expect = chai.expect;
+
+describe('RestError', function() {
+
+	describe('subclasses', function() {
+
+		it('should set the status code', function() {
+			const errors = [{
+				path: 'name',
+				message: 'name cannot be null',
+				validator: 'notNull'
+			}];
+
+			expect(new RestSequelize.BadRequestError('Bad')).to.have.property('statusCode', 400);
+			expect(new RestSequelize.ForbiddenError('Forbidden')).to.have.property('statusCode', 403);
+			expect(new RestSequelize.NotFoundError('Missing')).to.have.property('statusCode', 404);
+			expect(new RestSequelize.ConflictError('Conflict')).to.have.property('statusCode', 409);
+			expect(new RestSequelize.UnprocessableEntityError('Invalid', errors)).to.have.property('errors', errors);
+			expect(new RestSequelize.UnprocessableEntityError('Invalid')).to.have.property('statusCode', 422);
+		});
+
+		it('should be instances of RestError', function() {
+			const error = new RestSequelize.NotFoundError('Missing');
+
+			assert.instanceOf(error, RestSequelize.RestError);
+			assert.instanceOf(error, Error);
+			assert.strictEqual(error.name, 'NotFoundError');
+			assert.strictEqual(error.message, 'Missing');
+		});
+
+	});
+
+	describe('#toProblemJSON', function() {
+
+		it('should create a problem details object', function() {
+			assert.deepEqual(new RestSequelize.RestError('Can not find model \'User\'.', 404).toProblemJSON(), {
+				type: 'about:blank',
+				title: 'Not Found',
+				status: 404,
+				detail: 'Can not find model \'User\'.'
+			});
+		});
+
+		it('should add the instance and extension members', function() {
+			const error = new RestSequelize.UnprocessableEntityError('Validation error', [{
+				path: 'email',
+				message: 'Validation isEmail failed',
+				validator: 'isEmail'
+			}]);
+
+			error.type = 'https://example.com/problems/validation';
+			error.instance = '/users/1';
+
+			assert.deepEqual(error.toProblemJSON({
+				traceId: 'abc'
+			}), {
+				type: 'https://example.com/problems/validation',
+				title: 'Unprocessable Entity',
+				status: 422,
+				detail: 'Validation error',
+				instance: '/users/1',
+				errors: [{
+					path: 'email',
+					message: 'Validation isEmail failed',
+					validator: 'isEmail'
+				}],
+				traceId: 'abc'
+			});
+		});
+
+	});
+
+});
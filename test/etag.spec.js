@@ -0,0 +1,147 @@
+/* globals describe, it */
+"use strict";
+
+const chai = require('chai');
+const database = require('./server').connect();
+const etag = require('../lib/etag');
+
+const assert = chai.assert;
+const expect = chai.expect;
+
+const User = database.models.User;
+const Foo = database.models.Foo;
+
+describe('ETag', function() {
+
+	describe('#versionAttribute', function() {
+
+		it('should resolve the version column or the updatedAt timestamp', function() {
+			assert.strictEqual(etag.versionAttribute(Foo), 'version');
+			assert.strictEqual(etag.versionAttribute(User), 'updatedAt');
+			assert.isTrue(etag.incrementsVersion(Foo));
+			assert.isFalse(etag.incrementsVersion(User));
+		});
+
+	});
+
+	describe('#recordETag', function() {
+
+		it('should create an ETag from the version', function() {
+			const updatedAt = new Date();
+
+			assert.strictEqual(etag.recordETag(Foo, Foo.build({
+				version: 3
+			})), '"3"');
+			assert.strictEqual(etag.recordETag(User, User.build({
+				updatedAt
+			})), `"${updatedAt.getTime()}"`);
+		});
+
+	});
+
+	describe('#matchETag', function() {
+
+		it('should match ETags with the strong comparison', function() {
+			assert.isTrue(etag.matchETag('"1", "3"', '"3"'));
+			assert.isTrue(etag.matchETag('*', '"3"'));
+			assert.isFalse(etag.matchETag('W/"3"', '"3"'));
+			assert.isFalse(etag.matchETag('"2"', '"3"'));
+		});
+
+	});
+
+	describe('#checkPrecondition', function() {
+
+		const updatedAt = new Date();
+		const user = User.build({
+			updatedAt
+		});
+
+		it('should pass matching preconditions', function() {
+			etag.checkPrecondition(User, user, {});
+			etag.checkPrecondition(User, user, {
+				version: updatedAt.toISOString()
+			});
+			etag.checkPrecondition(User, user, {
+				version: updatedAt.getTime(),
+				ifMatch: `"${updatedAt.getTime()}"`
+			});
+		});
+
+		it('should throw an error for a mismatch', function() {
+			expect(function() {
+				etag.checkPrecondition(Foo, Foo.build({
+					version: 2
+				}), {
+					version: '1'
+				});
+			}).to.throw('Model \'Foo\' has been modified by another request.').with.property('statusCode', 412);
+
+			expect(function() {
+				etag.checkPrecondition(User, user, {
+					ifMatch: '"1"'
+				});
+			}).to.throw('Model \'User\' has been modified by another request.').with.property('statusCode', 412);
+		});
+
+	});
+
+	describe('#isNotModified', function() {
+
+		const updatedAt = new Date(Date.UTC(2016, 4, 1, 10, 30, 15, 500));
+		const users = [User.build({
+			updatedAt: new Date(Date.UTC(2016, 4, 1))
+		}), User.build({
+			updatedAt
+		})];
+
+		it('should create validators from the updatedAt timestamps', function() {
+			assert.strictEqual(etag.lastModified(User, users).getTime(), updatedAt.getTime());
+			assert.strictEqual(etag.weakETag(User, users), `W/"${updatedAt.getTime()}-2"`);
+			assert.strictEqual(etag.weakETag(User, []), 'W/"0-0"');
+			expect(etag.weakETag(User, users, {
+				mediaType: 'application/vnd.api+json'
+			})).to.match(new RegExp(`^W/"${updatedAt.getTime()}-2-[0-9a-f]{8}"$`));
+			assert.strictEqual(etag.strongETag({
+				name: 'Foo'
+			}), etag.strongETag('{"name":"Foo"}'));
+		});
+
+		it('should compare the If-None-Match header with the weak comparison', function() {
+			const validators = {
+				etag: '"1"',
+				lastModified: updatedAt
+			};
+
+			assert.isTrue(etag.isNotModified(validators, {
+				ifNoneMatch: 'W/"1"'
+			}));
+			assert.isTrue(etag.isNotModified(validators, {
+				ifNoneMatch: '*'
+			}));
+			assert.isFalse(etag.isNotModified(validators, {
+				ifNoneMatch: '"2"',
+				ifModifiedSince: updatedAt.toUTCString()
+			}));
+		});
+
+		it('should compare the If-Modified-Since header in seconds', function() {
+			const validators = {
+				lastModified: updatedAt
+			};
+
+			assert.isTrue(etag.isNotModified(validators, {
+				ifModifiedSince: updatedAt.toUTCString()
+			}));
+			assert.isFalse(etag.isNotModified(validators, {
+				ifModifiedSince: new Date(updatedAt.getTime() - 1000).toUTCString()
+			}));
+			assert.isFalse(etag.isNotModified(validators, {
+				ifModifiedSince: 'invalid'
+			}));
+			assert.isFalse(etag.isNotModified(validators, {}));
+		});
+
+	});
+
+});
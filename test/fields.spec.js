@@ -0,0 +1,100 @@
+/* globals describe, it */
+"use strict";
+
+const chai = require('chai');
+const database = require('./server').connect();
+const fields = require('../lib/fields');
+const buildInclude = require('../lib/include').buildInclude;
+
+const assert = chai.assert;
+const expect = chai.expect;
+
+const User = database.models.User;
+const Task = database.models.Task;
+
+describe('Fields', function() {
+
+	describe('#parseFields', function() {
+
+		it('should parse root fields', function() {
+			assert.deepEqual(fields.parseFields(User, 'id, name'), {
+				'': ['id', 'name']
+			});
+			assert.deepEqual(fields.parseFields(User, ['id', 'name']), {
+				'': ['id', 'name']
+			});
+		});
+
+		it('should parse fields of associations', function() {
+			assert.deepEqual(fields.parseFields(User, ['id,name', {
+				tasks: 'id,type',
+				'tasks.user': 'email'
+			}]), {
+				'': ['id', 'name'],
+				tasks: ['id', 'type'],
+				'tasks.user': ['email']
+			});
+		});
+
+		it('should parse fields keyed by the model name', function() {
+			assert.deepEqual(fields.parseFields(User, {
+				users: 'name',
+				User: 'email'
+			}), {
+				'': ['name', 'email']
+			});
+		});
+
+	});
+
+	describe('#applyFields', function() {
+
+		it('should not change the query without fields', function() {
+			const query = fields.applyFields(User, {}, undefined);
+
+			expect(query).to.not.have.property('attributes');
+		});
+
+		it('should always add the primary key', function() {
+			const query = fields.applyFields(User, {}, 'name');
+
+			assert.deepEqual(query.attributes, ['id', 'name']);
+		});
+
+		it('should always add foreign keys', function() {
+			const query = fields.applyFields(Task, {}, 'name');
+
+			assert.deepEqual(query.attributes, ['id', 'UserId', 'name']);
+		});
+
+		it('should set the attributes of included associations', function() {
+			const query = fields.applyFields(User, {
+				include: buildInclude(User, 'tasks.user')
+			}, {
+				tasks: 'type',
+				'tasks.user': 'email'
+			});
+
+			assert.deepEqual(query.include[0].attributes, ['id', 'UserId', 'type']);
+			assert.deepEqual(query.include[0].include[0].attributes, ['id', 'email']);
+		});
+
+		it('should throw an error for an unknown attribute', function() {
+			expect(function() {
+				fields.applyFields(User, {}, 'id,age');
+			}).to.throw('Unknown attribute \'age\' for \'User\'.').with.property('statusCode', 400);
+		});
+
+		it('should throw an error for an association that is not included', function() {
+			expect(function() {
+				fields.applyFields(User, {
+					include: []
+				}, {
+					tasks: 'name'
+				});
+			}).to.throw('Fields for \'tasks\' require the association to be included.').with.property('statusCode', 400);
+		});
+
+	});
+
+});
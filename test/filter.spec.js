@@ -0,0 +1,246 @@
+/* globals describe, it */
+"use strict";
+
+const chai = require('chai');
+const database = require('./server').connect();
+const filter = require('../lib/filter');
+
+const assert = chai.assert;
+const expect = chai.expect;
+
+const User = database.models.User;
+
+describe('Filter', function() {
+
+	describe('#buildWhere', function() {
+
+		it('should build equality checks', function() {
+			assert.deepEqual(filter.buildWhere(User, {
+				id: '1',
+				name: 'Foo'
+			}), {
+				id: 1,
+				name: 'Foo'
+			});
+		});
+
+		it('should build conditions from nested operators', function() {
+			assert.deepEqual(filter.buildWhere(User, {
+				id: {
+					gt: '1',
+					lte: '10'
+				},
+				name: {
+					ne: 'Foo'
+				}
+			}), {
+				id: {
+					$gt: 1,
+					$lte: 10
+				},
+				name: {
+					$ne: 'Foo'
+				}
+			});
+		});
+
+		it('should build conditions from bracket operators', function() {
+			assert.deepEqual(filter.buildWhere(User, {
+				'id[in]': '1,2,3',
+				'name[nin]': ['Foo', 'Bar'],
+				'email[null]': 'true'
+			}), {
+				id: {
+					$in: [1, 2, 3]
+				},
+				name: {
+					$notIn: ['Foo', 'Bar']
+				},
+				email: null
+			});
+		});
+
+		it('should cast dates for the between operator', function() {
+			const where = filter.buildWhere(User, {
+				createdAt: {
+					between: '2016-01-01,2016-02-01'
+				}
+			});
+
+			assert.lengthOf(where.createdAt.$between, 2);
+			assert.instanceOf(where.createdAt.$between[0], Date);
+			assert.instanceOf(where.createdAt.$between[1], Date);
+		});
+
+		it('should check for not null values', function() {
+			assert.deepEqual(filter.buildWhere(User, {
+				email: {
+					null: 'false'
+				}
+			}), {
+				email: {
+					$ne: null
+				}
+			});
+		});
+
+		it('should throw an error for an unknown attribute', function() {
+			expect(function() {
+				filter.buildWhere(User, {
+					age: '1'
+				});
+			}).to.throw('Unknown attribute \'age\' for \'User\'.').with.property('statusCode', 400);
+		});
+
+		it('should throw an error for an unknown operator', function() {
+			expect(function() {
+				filter.buildWhere(User, {
+					'id[regexp]': '1'
+				});
+			}).to.throw('Unknown operator \'regexp\' for attribute \'id\'.').with.property('statusCode', 400);
+		});
+
+		it('should throw an error for an invalid value', function() {
+			expect(function() {
+				filter.buildWhere(User, {
+					id: {
+						gt: 'foo'
+					}
+				});
+			}).to.throw('Invalid value \'foo\' for attribute \'id\'.').with.property('statusCode', 400);
+		});
+
+		it('should throw an error for raw queries in operator values', function() {
+			expect(function() {
+				filter.buildWhere(User, {
+					name: {
+						eq: {
+							$raw: '1 OR 1=1 OR 1'
+						}
+					}
+				});
+			}).to.throw('Invalid value for attribute \'name\'.').with.property('statusCode', 400);
+		});
+
+		it('should throw an error for nested Objects in operator values', function() {
+			expect(function() {
+				filter.buildWhere(User, {
+					'id[in]': ['1', {
+						gt: '0'
+					}]
+				});
+			}).to.throw('Invalid value for attribute \'id\'.').with.property('statusCode', 400);
+
+			expect(function() {
+				filter.buildWhere(User, {
+					'name[like]': {
+						foo: '%'
+					}
+				});
+			}).to.throw('Invalid value for attribute \'name\'.').with.property('statusCode', 400);
+		});
+
+		it('should throw an error for operator keys passed as values', function() {
+			expect(function() {
+				filter.buildWhere(User, {
+					name: {
+						$or: ['Foo', 'Bar']
+					}
+				});
+			}).to.throw('Unknown operator \'$or\' for attribute \'name\'.').with.property('statusCode', 400);
+
+			expect(function() {
+				filter.buildWhere(User, {
+					'name[ne]': {
+						$ne: 'Foo'
+					}
+				});
+			}).to.throw('Invalid value for attribute \'name\'.').with.property('statusCode', 400);
+		});
+
+		it('should throw an error for an invalid between operator', function() {
+			expect(function() {
+				filter.buildWhere(User, {
+					'id[between]': '1'
+				});
+			}).to.throw('Operator \'between\' for attribute \'id\' requires two values.');
+		});
+
+	});
+
+	describe('#like', function() {
+
+		it('should match patterns with lower cased values', function() {
+			const where = filter.buildWhere(User, {
+				name: 'Foo%',
+				'email[like]': '%@BAR.com'
+			});
+
+			assert.lengthOf(where.$and, 2);
+			assert.strictEqual(where.$and[0].val, 'LOWER(`User`.`name`) LIKE \'foo%\' ESCAPE \'\\\'');
+			assert.strictEqual(where.$and[1].val, 'LOWER(`User`.`email`) LIKE \'%@bar.com\' ESCAPE \'\\\'');
+		});
+
+		it('should use the iLike operator for postgres', function() {
+			const model = {
+				name: 'User',
+				attributes: User.attributes,
+				sequelize: {
+					options: {
+						dialect: 'postgres'
+					}
+				}
+			};
+
+			assert.deepEqual(filter.buildWhere(model, {
+				name: 'Foo%'
+			}), {
+				name: {
+					$iLike: 'Foo%'
+				}
+			});
+		});
+
+		it('should not match patterns with escaped wildcards', function() {
+			assert.deepEqual(filter.buildWhere(User, {
+				name: '50\\% off'
+			}), {
+				name: '50% off'
+			});
+		});
+
+		it('should escape wildcards', function() {
+			assert.strictEqual(filter.escapeLike('50% of a_b\\c'), '50\\% of a\\_b\\\\c');
+		});
+
+		it('should expose the escape function on the namespace', function() {
+			assert.strictEqual(require('..').escapeLike('50%'), '50\\%');
+		});
+
+	});
+
+	describe('#castValue', function() {
+
+		it('should cast values to the attribute type', function() {
+			assert.strictEqual(filter.castValue(User.attributes.id, '12'), 12);
+			assert.strictEqual(filter.castValue(User.attributes.name, '12'), '12');
+			assert.strictEqual(filter.castValue(User.attributes.id, 12), 12);
+			assert.instanceOf(filter.castValue(User.attributes.createdAt, '2016-01-01'), Date);
+		});
+
+		it('should cast boolean values', function() {
+			const attribute = {
+				fieldName: 'active',
+				type: database.Sequelize.BOOLEAN
+			};
+
+			assert.strictEqual(filter.castValue(attribute, 'true'), true);
+			assert.strictEqual(filter.castValue(attribute, '0'), false);
+			assert.throw(function() {
+				filter.castValue(attribute, 'yes');
+			}, 'Invalid value \'yes\' for attribute \'active\'.');
+		});
+
+	});
+
+});
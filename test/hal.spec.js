@@ -0,0 +1,134 @@
+/* globals describe, it, before, after */
+"use strict";
+
+const chai = require('chai');
+const server = require('./server');
+const Resolver = require('../lib/resolver');
+const RestService = require('../lib/rest-service');
+const RestAdapter = require('../lib/rest-adapter');
+const Deserializer = require('../lib/deserializer');
+const HALSerializer = require('../lib/hal-serializer');
+
+const assert = chai.assert;
+const expect = chai.expect;
+
+class HALResolver extends Resolver {
+
+	resolve(sequelize, type) {
+		switch(type) {
+			case 'services':
+				return new RestService(sequelize);
+			case 'serializers':
+				return new HALSerializer(sequelize, {
+					baseUrl: 'http://localhost/api'
+				});
+			case 'deserializers':
+				return new Deserializer(sequelize);
+		}
+	}
+
+}
+
+describe('HALSerializer', function() {
+
+	let database, adapter;
+
+	before(function() {
+		database = server.connect('hal.sqlite');
+		adapter = new RestAdapter(database.sequelize, new HALResolver());
+
+		return database.sequelize.sync({
+			force: true
+		}).then(function() {
+			return database.models.User.create({
+				name: 'Foo Bar',
+				Tasks: [{
+					name: 'First'
+				}, {
+					name: 'Second'
+				}, {
+					name: 'Third'
+				}]
+			}, {
+				include: [{
+					model: database.models.Task,
+					as: 'Tasks'
+				}]
+			});
+		});
+	});
+
+	it('should add the self and association links', function() {
+		return adapter.findById('users', 1).then(function(resource) {
+			expect(resource).to.have.property('name', 'Foo Bar');
+			expect(resource).to.not.have.property('_embedded');
+			assert.deepEqual(resource._links, {
+				self: {
+					href: 'http://localhost/api/users/1'
+				},
+				tasks: {
+					href: 'http://localhost/api/users/1/tasks'
+				}
+			});
+		});
+	});
+
+	it('should embed included associations', function() {
+		return adapter.findById('users', 1, {
+			include: 'tasks.user'
+		}).then(function(resource) {
+			const task = resource._embedded.tasks[0];
+
+			assert.lengthOf(resource._embedded.tasks, 3);
+			expect(task).to.have.property('name', 'First');
+			expect(task).to.not.have.property('User');
+			expect(task._links).to.have.deep.property('self.href', 'http://localhost/api/users/1/tasks/1');
+			expect(task._links).to.have.deep.property('user.href', 'http://localhost/api/tasks/1/user');
+			expect(task._embedded.user._links).to.have.deep.property('self.href', 'http://localhost/api/tasks/1/user');
+		});
+	});
+
+	it('should embed lists with pagination links', function() {
+		return adapter.find('tasks', {}, {
+			page: 2,
+			size: 1
+		}).then(function(document) {
+			expect(document).to.have.property('totalPages', 3);
+			assert.lengthOf(document._embedded.tasks, 1);
+			assert.deepEqual(document._links, {
+				self: {
+					href: 'http://localhost/api/tasks'
+				},
+				first: {
+					href: 'http://localhost/api/tasks?page=1&size=1'
+				},
+				prev: {
+					href: 'http://localhost/api/tasks?page=1&size=1'
+				},
+				next: {
+					href: 'http://localhost/api/tasks?page=3&size=1'
+				},
+				last: {
+					href: 'http://localhost/api/tasks?page=3&size=1'
+				}
+			});
+		});
+	});
+
+	it('should use the requested page size on the last page', function() {
+		return adapter.find('tasks', {}, {
+			page: 2,
+			size: 2
+		}).then(function(document) {
+			expect(document).to.have.property('size', 1);
+			expect(document).to.have.property('pageSize', 2);
+			expect(document._links).to.have.deep.property('first.href', 'http://localhost/api/tasks?page=1&size=2');
+			expect(document._links).to.not.have.property('next');
+		});
+	});
+
+	after(function(done) {
+		require('fs').unlink(__dirname + '/hal.sqlite', done);
+	});
+
+});
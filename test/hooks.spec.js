@@ -0,0 +1,88 @@
+/* globals describe, it */
+"use strict";
+
+const chai = require('chai');
+const hooks = require('../lib/hooks');
+const ForbiddenError = require('../lib/error').ForbiddenError;
+
+const chaiAsPromised = require('chai-as-promised');
+chai.use(chaiAsPromised);
+
+const assert = chai.assert;
+const expect = chai.expect;
+
+describe('Hooks', function() {
+
+	describe('#normalizeHooks', function() {
+
+		it('should normalize hooks into lists', function() {
+			const hook = function() {};
+
+			assert.deepEqual(hooks.normalizeHooks({
+				beforeFind: hook,
+				afterFind: [hook, hook]
+			}), {
+				beforeFind: [hook],
+				afterFind: [hook, hook]
+			});
+			assert.deepEqual(hooks.normalizeHooks(), {});
+		});
+
+		it('should throw an error for unknown hooks', function() {
+			expect(function() {
+				hooks.normalizeHooks({
+					beforeSave: function() {}
+				});
+			}).to.throw('Unknown hook \'beforeSave\'.');
+
+			expect(function() {
+				hooks.normalizeHooks({
+					beforeFind: 'hook'
+				});
+			}).to.throw('Hook \'beforeFind\' must be a function.');
+		});
+
+	});
+
+	describe('#runHooks', function() {
+
+		it('should run the hooks in order', function() {
+			const calls = [];
+			const merged = hooks.mergeHooks(hooks.normalizeHooks({
+				beforeCreate: function(model, data, transaction, context) {
+					calls.push(['global', model, transaction, context]);
+					data.name = 'Global';
+				}
+			}), hooks.normalizeHooks({
+				beforeCreate: function(model, data) {
+					calls.push(['resource']);
+					data.name += ' Resource';
+				}
+			}));
+
+			return hooks.runHooks(merged, 'beforeCreate', 'User', {}, 'transaction', 'context').then(function(data) {
+				assert.deepEqual(data, {
+					name: 'Global Resource'
+				});
+				assert.deepEqual(calls, [['global', 'User', 'transaction', 'context'], ['resource']]);
+			});
+		});
+
+		it('should stop when a hook throws an error', function() {
+			let called = false;
+			const merged = hooks.normalizeHooks({
+				beforeDelete: [function() {
+					throw new ForbiddenError('Forbidden');
+				}, function() {
+					called = true;
+				}]
+			});
+
+			return expect(hooks.runHooks(merged, 'beforeDelete', 'User', {})).to.be.rejectedWith(ForbiddenError).then(function() {
+				assert.isFalse(called);
+			});
+		});
+
+	});
+
+});
@@ -0,0 +1,131 @@
+/* globals describe, it */
+"use strict";
+
+const chai = require('chai');
+const jsonPatch = require('../lib/json-patch');
+
+const assert = chai.assert;
+const expect = chai.expect;
+
+function apply(document, operations) {
+	return jsonPatch.applyPatch(document, jsonPatch.parsePatch(operations));
+}
+
+describe('JSON Patch', function() {
+
+	describe('#parsePointer', function() {
+
+		it('should parse escaped tokens', function() {
+			assert.deepEqual(jsonPatch.parsePointer('/a~1b/m~0n/0'), ['a/b', 'm~n', '0']);
+			assert.deepEqual(jsonPatch.parsePointer(''), []);
+			assert.strictEqual(jsonPatch.formatPointer(['a/b', 'm~n', '0']), '/a~1b/m~0n/0');
+		});
+
+		it('should throw an error for an invalid pointer', function() {
+			expect(function() {
+				jsonPatch.parsePointer('name');
+			}).to.throw('Invalid JSON Pointer \'name\'.').with.property('statusCode', 400);
+		});
+
+	});
+
+	describe('#parsePatch', function() {
+
+		it('should throw an error for an invalid document', function() {
+			expect(function() {
+				jsonPatch.parsePatch({
+					op: 'add'
+				});
+			}).to.throw('JSON Patch must be an array of operations.').with.property('statusCode', 400);
+
+			expect(function() {
+				jsonPatch.parsePatch([{
+					op: 'merge',
+					path: '/name'
+				}]);
+			}).to.throw('Unknown JSON Patch operation \'merge\'.').with.property('statusCode', 400);
+
+			expect(function() {
+				jsonPatch.parsePatch([{
+					op: 'copy',
+					path: '/name'
+				}]);
+			}).to.throw('Missing \'from\' member of the \'copy\' operation.').with.property('statusCode', 400);
+		});
+
+	});
+
+	describe('#applyPatch', function() {
+
+		const document = {
+			name: 'Foo',
+			email: null,
+			Tasks: [1, 2]
+		};
+
+		it('should apply all operations', function() {
+			assert.deepEqual(apply(document, [
+				{op: 'test', path: '/email', value: null},
+				{op: 'replace', path: '/name', value: 'Bar'},
+				{op: 'add', path: '/Tasks/-', value: 3},
+				{op: 'add', path: '/Tasks/0', value: 0},
+				{op: 'remove', path: '/Tasks/1'},
+				{op: 'copy', from: '/name', path: '/email'},
+				{op: 'move', from: '/Tasks/2', path: '/Tasks/0'}
+			]), {
+				name: 'Bar',
+				email: 'Bar',
+				Tasks: [3, 0, 2]
+			});
+		});
+
+		it('should not change the original document', function() {
+			apply(document, [{
+				op: 'remove',
+				path: '/Tasks/0'
+			}]);
+
+			assert.deepEqual(document.Tasks, [1, 2]);
+		});
+
+		it('should throw an error for a missing path', function() {
+			expect(function() {
+				apply(document, [{
+					op: 'replace',
+					path: '/age',
+					value: 1
+				}]);
+			}).to.throw('Path \'/age\' does not exist.').with.property('statusCode', 422);
+
+			expect(function() {
+				apply(document, [{
+					op: 'add',
+					path: '/Tasks/5',
+					value: 1
+				}]);
+			}).to.throw('Path \'/Tasks/5\' does not exist.').with.property('statusCode', 422);
+		});
+
+		it('should throw an error for a failed test', function() {
+			expect(function() {
+				apply(document, [{
+					op: 'test',
+					path: '/name',
+					value: 'Bar'
+				}]);
+			}).to.throw('Test operation failed for path \'/name\'.').with.property('statusCode', 409);
+		});
+
+		it('should throw an error when moving a value into its children', function() {
+			expect(function() {
+				apply(document, [{
+					op: 'move',
+					from: '/Tasks',
+					path: '/Tasks/0'
+				}]);
+			}).to.throw('Can not move \'/Tasks\' into one of its children.').with.property('statusCode', 400);
+		});
+
+	});
+
+});
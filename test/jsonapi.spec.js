@@ -0,0 +1,350 @@
+/* globals describe, it, before, after */
+"use strict";
+
+const chai = require('chai');
+const server = require('./server');
+const Resolver = require('../lib/resolver');
+const RestService = require('../lib/rest-service');
+const RestAdapter = require('../lib/rest-adapter');
+const RequestHandler = require('../lib/request-handler');
+const JSONAPISerializer = require('../lib/jsonapi-serializer');
+const JSONAPIDeserializer = require('../lib/jsonapi-deserializer');
+
+const chaiAsPromised = require('chai-as-promised');
+chai.use(chaiAsPromised);
+
+const assert = chai.assert;
+const expect = chai.expect;
+
+class JSONAPIResolver extends Resolver {
+
+	resolve(sequelize, type) {
+		switch(type) {
+			case 'services':
+				return new RestService(sequelize);
+			case 'serializers':
+				return new JSONAPISerializer(sequelize, {
+					baseUrl: 'http://localhost/api/'
+				});
+			case 'deserializers':
+				return new JSONAPIDeserializer(sequelize);
+		}
+	}
+
+}
+
+describe('JSON:API', function() {
+
+	let database, adapter, user;
+
+	before(function() {
+		database = server.connect('jsonapi.sqlite');
+		adapter = new RestAdapter(database.sequelize, new JSONAPIResolver());
+
+		return database.sequelize.sync({
+			force: true
+		}).then(function() {
+			return database.models.User.create({
+				name: 'Foo Bar',
+				email: 'foo@bar.com',
+				Tasks: [{
+					name: 'First'
+				}, {
+					name: 'Second'
+				}]
+			}, {
+				include: [{
+					model: database.models.Task,
+					as: 'Tasks'
+				}]
+			});
+		}).then(function(instance) {
+			user = instance;
+		});
+	});
+
+	describe('JSONAPISerializer', function() {
+
+		it('should serialize a resource object', function() {
+			return adapter.findById('users', user.get('id')).then(function(document) {
+				expect(document.data).to.have.property('type', 'users');
+				expect(document.data).to.have.property('id', '1');
+				expect(document.data.attributes).to.have.property('name', 'Foo Bar');
+				expect(document.data.attributes).to.not.have.property('id');
+				expect(document.data.relationships.tasks).to.not.have.property('data');
+				expect(document.data.relationships.tasks.links).to.have.property('related', 'http://localhost/api/users/1/tasks');
+				expect(document.links).to.have.property('self', 'http://localhost/api/users/1');
+				expect(document).to.not.have.property('included');
+			});
+		});
+
+		it('should serialize foreign keys as relationships', function() {
+			return adapter.findById('tasks', 1).then(function(document) {
+				expect(document.data.attributes).to.not.have.property('UserId');
+				assert.deepEqual(document.data.relationships.user.data, {
+					type: 'users',
+					id: '1'
+				});
+			});
+		});
+
+		it('should side-load included records only once', function() {
+			return adapter.find('tasks', {}, {}, {
+				include: 'user'
+			}).then(function(document) {
+				assert.lengthOf(document.data, 2);
+				assert.lengthOf(document.included, 1);
+				expect(document.included[0]).to.have.property('type', 'users');
+				expect(document.included[0].attributes).to.have.property('email', 'foo@bar.com');
+			});
+		});
+
+		it('should not side-load primary records', function() {
+			return adapter.find('users', {}, {}, {
+				include: 'tasks.user'
+			}).then(function(document) {
+				assert.lengthOf(document.data[0].relationships.tasks.data, 2);
+				assert.sameMembers(document.included.map((resource) => resource.type), ['tasks', 'tasks']);
+			});
+		});
+
+		it('should add the pagination meta and links', function() {
+			return adapter.find('tasks', {}, {
+				page: 2,
+				size: 1
+			}).then(function(document) {
+				expect(document.meta).to.have.property('totalPages', 2);
+				assert.deepEqual(document.links, {
+					self: 'http://localhost/api/tasks',
+					first: 'http://localhost/api/tasks?page=1&size=1',
+					prev: 'http://localhost/api/tasks?page=1&size=1',
+					last: 'http://localhost/api/tasks?page=2&size=1'
+				});
+			});
+		});
+
+		it('should keep the request parameters in the pagination links', function() {
+			return adapter.find('tasks', {
+				UserId: '1'
+			}, {
+				page: 1,
+				size: 1,
+				sort: '-name'
+			}).then(function(document) {
+				expect(document.meta).to.have.property('pageSize', 1);
+				assert.deepEqual(document.links, {
+					self: 'http://localhost/api/tasks',
+					first: 'http://localhost/api/tasks?page=1&size=1&UserId=1&sort=-name',
+					next: 'http://localhost/api/tasks?page=2&size=1&UserId=1&sort=-name',
+					last: 'http://localhost/api/tasks?page=2&size=1&UserId=1&sort=-name'
+				});
+			});
+		});
+
+		it('should keep the sort in the cursor links', function() {
+			return adapter.find('tasks', {}, {
+				size: 1,
+				sort: '-name',
+				cursor: ''
+			}).then(function(document) {
+				assert.strictEqual(document.links.first, 'http://localhost/api/tasks?cursor=&sort=-name&size=1');
+				assert.strictEqual(document.links.next, `http://localhost/api/tasks?cursor=${document.meta.nextCursor}&sort=-name&size=1`);
+			});
+		});
+
+		it('should serialize error objects', function() {
+			const handler = new RequestHandler(adapter);
+
+			return handler.handle({
+				method: 'GET',
+				path: '/users/100'
+			}).then(function(response) {
+				assert.strictEqual(response.status, 404);
+				assert.deepEqual(response.body, {
+					errors: [{
+						status: '404',
+						title: 'Not Found',
+						detail: 'Can not find model \'User\'.'
+					}]
+				});
+			});
+		});
+
+		it('should serialize field errors with a source pointer', function() {
+			const handler = new RequestHandler(adapter);
+
+			return handler.handle({
+				method: 'POST',
+				path: '/users',
+				body: {
+					data: {
+						type: 'users',
+						attributes: {
+							name: 'Foo',
+							email: 'foo'
+						}
+					}
+				}
+			}).then(function(response) {
+				assert.strictEqual(response.status, 422);
+				assert.deepEqual(response.body, {
+					errors: [{
+						status: '422',
+						title: 'Unprocessable Entity',
+						detail: 'Validation isEmail failed',
+						code: 'isEmail',
+						source: {
+							pointer: '/data/attributes/email'
+						}
+					}]
+				});
+			});
+		});
+
+	});
+
+	describe('JSONAPIDeserializer', function() {
+
+		const deserializer = new JSONAPIDeserializer();
+
+		it('should deserialize attributes and relationships', function() {
+			assert.deepEqual(deserializer.deserialize(adapter, 'tasks', {
+				data: {
+					type: 'tasks',
+					id: '2',
+					attributes: {
+						name: 'Task'
+					},
+					relationships: {
+						user: {
+							data: {
+								type: 'users',
+								id: '1'
+							}
+						}
+					}
+				}
+			}), {
+				id: '2',
+				name: 'Task',
+				User: {
+					id: '1'
+				}
+			});
+		});
+
+		it('should clear a belongs to relationship', function() {
+			assert.deepEqual(deserializer.deserialize(adapter, 'tasks', {
+				data: {
+					type: 'tasks',
+					relationships: {
+						user: {
+							data: null
+						}
+					}
+				}
+			}), {
+				UserId: null
+			});
+		});
+
+		it('should throw an error for an invalid resource identifier', function() {
+			expect(function() {
+				deserializer.deserialize(adapter, 'users', {
+					data: {
+						type: 'users',
+						relationships: {
+							tasks: {
+								data: [null]
+							}
+						}
+					}
+				});
+			}).to.throw('Relationship \'tasks\' must contain resource identifiers of type \'tasks\'.').with.property('statusCode', 400);
+
+			expect(function() {
+				deserializer.deserialize(adapter, 'tasks', {
+					data: {
+						type: 'tasks',
+						relationships: {
+							user: {
+								data: {
+									type: 'tasks',
+									id: '1'
+								}
+							}
+						}
+					}
+				});
+			}).to.throw('Relationship \'user\' must contain resource identifiers of type \'users\'.').with.property('statusCode', 400);
+		});
+
+		it('should throw an error for an invalid document', function() {
+			expect(function() {
+				deserializer.deserialize(adapter, 'users', {
+					name: 'Foo'
+				});
+			}).to.throw('Payload must be a JSON:API document containing a resource object.').with.property('statusCode', 400);
+		});
+
+		it('should throw an error for a different resource type', function() {
+			expect(function() {
+				deserializer.deserialize(adapter, 'users', {
+					data: {
+						type: 'tasks'
+					}
+				});
+			}).to.throw('Resource type \'tasks\' does not match \'users\'.').with.property('statusCode', 409);
+		});
+
+		it('should create records with relationships', function() {
+			return adapter.create('users', {
+				data: {
+					type: 'users',
+					attributes: {
+						name: 'New User'
+					},
+					relationships: {
+						tasks: {
+							data: [{
+								type: 'tasks',
+								id: '2'
+							}]
+						}
+					}
+				}
+			}, {
+				include: 'tasks'
+			}).then(function(document) {
+				expect(document.data.attributes).to.have.property('name', 'New User');
+				assert.deepEqual(document.data.relationships.tasks.data, [{
+					type: 'tasks',
+					id: '2'
+				}]);
+			});
+		});
+
+		it('should create records with a composite primary key', function() {
+			return adapter.create('memberships', {
+				data: {
+					type: 'memberships',
+					id: '3~4',
+					attributes: {
+						role: 'owner'
+					}
+				}
+			}).then(function(document) {
+				expect(document.data).to.have.property('id', '3~4');
+				expect(document.data.attributes).to.have.property('role', 'owner');
+				expect(document.data.attributes).to.not.have.property('projectId');
+				expect(document.links).to.have.property('self', 'http://localhost/api/memberships/3~4');
+			});
+		});
+
+	});
+
+	after(function(done) {
+		require('fs').unlink(__dirname + '/jsonapi.sqlite', done);
+	});
+
+});
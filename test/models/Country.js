@@ -0,0 +1,9 @@
+module.exports = function(sequelize, DataTypes) {
+	return sequelize.define("Country", {
+		code: {
+			type: DataTypes.STRING,
+			primaryKey: true
+		},
+		name: DataTypes.STRING
+	});
+};
@@ -1,5 +1,12 @@
 module.exports = function(sequelize, DataTypes) {
 	return sequelize.define("Foo", {
-		name: DataTypes.STRING
+		name: DataTypes.STRING,
+		version: {
+			type: DataTypes.INTEGER,
+			allowNull: false,
+			defaultValue: 0
+		}
+	}, {
+		version: true
 	});
 };
@@ -0,0 +1,23 @@
+module.exports = function(sequelize, DataTypes) {
+	var Membership = sequelize.define("Membership", {
+		projectId: {
+			type: DataTypes.INTEGER,
+			primaryKey: true
+		},
+		userId: {
+			type: DataTypes.INTEGER,
+			primaryKey: true
+		},
+		role: DataTypes.STRING
+	}, {
+		classMethods: {
+			associate: function(models) {
+				return Membership.hasMany(models.Note, {
+					constraints: false
+				});
+			}
+		}
+	});
+
+	return Membership;
+};
@@ -0,0 +1,15 @@
+module.exports = function(sequelize, DataTypes) {
+	var Note = sequelize.define("Note", {
+		title: DataTypes.STRING,
+		tenantId: DataTypes.INTEGER
+	}, {
+		paranoid: true,
+		classMethods: {
+			associate: function(models) {
+				return Note.belongsTo(models.Project);
+			}
+		}
+	});
+
+	return Note;
+};
@@ -0,0 +1,19 @@
+module.exports = function(sequelize, DataTypes) {
+	var Project = sequelize.define("Project", {
+		name: DataTypes.STRING,
+		tenantId: DataTypes.INTEGER
+	}, {
+		classMethods: {
+			associate: function(models) {
+				Project.hasMany(models.Membership, {
+					foreignKey: 'projectId',
+					constraints: false
+				});
+
+				return Project.hasMany(models.Note);
+			}
+		}
+	});
+
+	return Project;
+};
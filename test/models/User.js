@@ -4,7 +4,12 @@ module.exports = function(sequelize, DataTypes) {
 			type: DataTypes.STRING,
 			allowNull: false
 		},
-		email: DataTypes.STRING
+		email: {
+			type: DataTypes.STRING,
+			validate: {
+				isEmail: true
+			}
+		}
 	}, {
 		classMethods: {
 			associate: function(models) {
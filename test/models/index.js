@@ -1,4 +1,4 @@
-var models = ['Task', 'User', "Foo"];
+var models = ['Task', 'User', "Foo", "Note", "Project", "Country", "Membership"];
 
 module.exports = function(sequelize) {
 	var Models = {};
@@ -0,0 +1,44 @@
+/* globals describe, it */
+"use strict";
+
+const chai = require('chai');
+const negotiation = require('../lib/negotiation');
+
+const assert = chai.assert;
+
+describe('Negotiation', function() {
+
+	describe('#parseAccept', function() {
+
+		it('should order media ranges by quality', function() {
+			assert.deepEqual(negotiation.parseAccept('text/html;q=0.5, application/hal+json, */*;q=0.1, text/csv'), [
+				'application/hal+json',
+				'text/csv',
+				'text/html',
+				'*/*'
+			]);
+		});
+
+		it('should leave out not acceptable media ranges', function() {
+			assert.deepEqual(negotiation.parseAccept('text/csv;q=0, Application/JSON;charset=utf-8'), ['application/json']);
+		});
+
+		it('should accept any media type by default', function() {
+			assert.deepEqual(negotiation.parseAccept(undefined), ['*/*']);
+		});
+
+	});
+
+	describe('#matchMediaType', function() {
+
+		it('should match media ranges', function() {
+			assert.isTrue(negotiation.matchMediaType('*/*', 'text/csv'));
+			assert.isTrue(negotiation.matchMediaType('application/*', 'application/hal+json'));
+			assert.isTrue(negotiation.matchMediaType('text/csv', 'text/CSV'));
+			assert.isFalse(negotiation.matchMediaType('application/*', 'text/csv'));
+			assert.isFalse(negotiation.matchMediaType('application/json', 'application/hal+json'));
+		});
+
+	});
+
+});
@@ -0,0 +1,591 @@
+/* globals describe, it, before, after, afterEach */
+"use strict";
+
+const http = require('http');
+const chai = require('chai');
+const request = require('supertest');
+const server = require('./server');
+const RestAdapter = require('../lib/rest-adapter');
+const RequestHandler = require('../lib/request-handler');
+const bindings = require('../lib/bindings');
+
+const assert = chai.assert;
+const expect = chai.expect;
+
+describe('RequestHandler', function() {
+
+	let database, handler, User;
+
+	before(function(done) {
+		database = server.connect('request-handler.sqlite');
+		User = database.models.User;
+		handler = new RequestHandler(new RestAdapter(database.sequelize), {
+			exclude: ['foos']
+		});
+
+		database.sequelize.sync({
+			force: true
+		}).then(function() {
+			done();
+		}, done);
+	});
+
+	describe('#match', function() {
+
+		it('should match resource actions', function() {
+			expect(handler.match('GET', '/users')).to.have.property('action', 'find');
+			expect(handler.match('get', '/users/1')).to.have.property('action', 'findById');
+			expect(handler.match('POST', '/users')).to.have.property('action', 'create');
+			expect(handler.match('PUT', '/users/1')).to.have.property('action', 'replace');
+			expect(handler.match('PATCH', '/users/1')).to.have.property('action', 'patch');
+			expect(handler.match('DELETE', '/users/1')).to.have.property('action', 'delete');
+			expect(handler.match('PATCH', '/users')).to.have.property('action', 'bulkUpdate');
+			expect(handler.match('DELETE', '/users')).to.have.property('action', 'bulkDelete');
+			expect(handler.match('GET', '/users/1/tasks')).to.have.property('action', 'findSubResources');
+			expect(handler.match('GET', '/users/1/tasks/2')).to.have.property('action', 'findSubResourceById');
+			expect(handler.match('PUT', '/users/1/tasks')).to.have.property('action', 'createSubResources');
+			expect(handler.match('DELETE', '/users/1/tasks/2')).to.have.property('action', 'deleteSubResources');
+			expect(handler.match('POST', '/users/1/restore')).to.have.property('action', 'restore');
+		});
+
+		it('should accept the update action as an alias of replace', function() {
+			const aliased = new RequestHandler(handler.adapter, {
+				actions: {
+					users: ['find', 'update']
+				}
+			});
+
+			expect(aliased.match('PUT', '/users/1')).to.have.property('action', 'replace');
+			assert.isNull(aliased.match('PATCH', '/users/1'));
+		});
+
+		it('should resolve route parameters', function() {
+			const route = handler.match('GET', '/Users/1/tasks/2/');
+
+			expect(route).to.have.property('type', 'Users');
+			expect(route).to.have.property('id', '1');
+			expect(route).to.have.property('sub', 'tasks');
+			expect(route).to.have.property('subId', '2');
+		});
+
+		it('should not match unknown routes', function() {
+			assert.isNull(handler.match('GET', '/'));
+			assert.isNull(handler.match('GET', '/foos'));
+			assert.isNull(handler.match('GET', '/bars'));
+			assert.isNull(handler.match('POST', '/users/1'));
+			assert.isNull(handler.match('POST', '/users/1/tasks'));
+			assert.isNull(handler.match('PUT', '/users'));
+			assert.isNull(handler.match('GET', '/users/1/tasks/2/3'));
+		});
+
+	});
+
+	describe('#handle', function() {
+
+		it('should respond with a created model', function() {
+			return handler.handle({
+				method: 'POST',
+				path: '/users',
+				body: {
+					name: 'Foo'
+				}
+			}).then(function(response) {
+				assert.strictEqual(response.status, 201);
+				assert.strictEqual(response.headers['Content-Type'], 'application/json');
+				expect(response.body.result).to.have.property('name', 'Foo');
+			});
+		});
+
+		it('should respond with a filtered list', function() {
+			return User.bulkCreate([{
+				name: 'Foo'
+			}, {
+				name: 'Bar'
+			}]).then(function() {
+				return handler.handle({
+					method: 'GET',
+					path: '/users',
+					query: {
+						name: 'Bar',
+						size: '1'
+					}
+				});
+			}).then(function(response) {
+				assert.strictEqual(response.status, 200);
+				assert.lengthOf(response.body.result, 1);
+				expect(response.body.result[0]).to.have.property('name', 'Bar');
+			});
+		});
+
+		it('should find soft deleted models with the paranoid query parameters', function() {
+			const Note = database.models.Note;
+			const find = function(query) {
+				return handler.handle({
+					method: 'GET',
+					path: '/notes',
+					query
+				}).then(function(response) {
+					assert.strictEqual(response.status, 200);
+					return response.body.result.map((note) => note.title);
+				});
+			};
+
+			return Note.bulkCreate([{
+				title: 'Kept'
+			}, {
+				title: 'Deleted'
+			}]).then(function() {
+				return Note.destroy({
+					where: {
+						title: 'Deleted'
+					}
+				});
+			}).then(function() {
+				return find({
+					withDeleted: 'false'
+				});
+			}).then(function(titles) {
+				assert.sameMembers(titles, ['Kept']);
+				return find({
+					withDeleted: 'true'
+				});
+			}).then(function(titles) {
+				assert.sameMembers(titles, ['Kept', 'Deleted']);
+				return find({
+					onlyDeleted: ''
+				});
+			}).then(function(titles) {
+				assert.sameMembers(titles, ['Deleted']);
+			});
+		});
+
+		it('should restore and force the delete of soft deleted models', function() {
+			const Note = database.models.Note;
+			let id;
+
+			return Note.create({
+				title: 'Restored'
+			}).then(function(note) {
+				id = note.get('id');
+
+				return handler.handle({
+					method: 'DELETE',
+					path: '/notes/' + id
+				});
+			}).then(function(response) {
+				assert.strictEqual(response.status, 204);
+
+				return handler.handle({
+					method: 'POST',
+					path: '/notes/' + id + '/restore'
+				});
+			}).then(function(response) {
+				assert.strictEqual(response.status, 200);
+				expect(response.body.result).to.have.property('title', 'Restored');
+				assert.isNull(response.body.result.deletedAt);
+
+				return handler.handle({
+					method: 'DELETE',
+					path: '/notes/' + id,
+					query: {
+						force: ''
+					}
+				});
+			}).then(function(response) {
+				assert.strictEqual(response.status, 204);
+
+				return Note.count({
+					where: {
+						id
+					},
+					paranoid: false
+				});
+			}).then(function(count) {
+				assert.strictEqual(count, 0);
+			});
+		});
+
+		it('should patch and replace a model', function() {
+			return User.create({
+				name: 'Foo',
+				email: 'foo@bar.com'
+			}).then(function(user) {
+				return handler.handle({
+					method: 'PATCH',
+					path: '/users/' + user.get('id'),
+					body: {
+						name: 'Bar'
+					}
+				}).then(function(response) {
+					assert.strictEqual(response.status, 200);
+					expect(response.body.result).to.have.property('name', 'Bar');
+					expect(response.body.result).to.have.property('email', 'foo@bar.com');
+
+					return handler.handle({
+						method: 'PUT',
+						path: '/users/' + user.get('id'),
+						body: {
+							name: 'Baz'
+						}
+					});
+				});
+			}).then(function(response) {
+				assert.strictEqual(response.status, 200);
+				expect(response.body.result).to.have.property('name', 'Baz');
+				expect(response.body.result).to.have.property('email', null);
+			});
+		});
+
+		it('should apply a JSON Patch document', function() {
+			return User.create({
+				name: 'Foo'
+			}).then(function(user) {
+				return handler.handle({
+					method: 'PATCH',
+					path: '/users/' + user.get('id'),
+					headers: {
+						'Content-Type': 'application/json-patch+json; charset=utf-8'
+					},
+					body: [{
+						op: 'test',
+						path: '/name',
+						value: 'Bar'
+					}]
+				});
+			}).then(function(response) {
+				assert.strictEqual(response.status, 409);
+				expect(response.body).to.have.property('message', 'Test operation failed for path \'/name\'.');
+			});
+		});
+
+		it('should respond with not modified to conditional requests', function() {
+			const conditional = new RequestHandler(handler.adapter, {
+				conditional: 'weak'
+			});
+
+			return User.create({
+				name: 'Conditional'
+			}).then(function(user) {
+				return conditional.handle({
+					method: 'GET',
+					path: `/users/${user.get('id')}`
+				});
+			}).then(function(response) {
+				assert.strictEqual(response.status, 200);
+				expect(response.headers).to.have.property('Content-Type', 'application/json');
+				expect(response.headers).to.have.property('ETag');
+				expect(response.headers).to.have.property('Last-Modified');
+
+				return conditional.handle({
+					method: 'GET',
+					path: `/users/${response.body.result.id}`,
+					headers: {
+						'If-None-Match': response.headers.ETag
+					}
+				});
+			}).then(function(response) {
+				assert.strictEqual(response.status, 304);
+				assert.isUndefined(response.body);
+				expect(response.headers).to.have.property('ETag');
+			});
+		});
+
+		it('should write records in bulk', function() {
+			return handler.handle({
+				method: 'POST',
+				path: '/users',
+				body: [{
+					name: 'Bulk'
+				}, {
+					email: 'invalid'
+				}],
+				query: {
+					partial: 'true'
+				}
+			}).then(function(response) {
+				assert.strictEqual(response.status, 201);
+				assert.lengthOf(response.body.result, 1);
+				expect(response.body.meta.results[1]).to.have.property('status', 422);
+
+				return handler.handle({
+					method: 'DELETE',
+					path: '/users',
+					body: [response.body.result[0].id]
+				});
+			}).then(function(response) {
+				assert.strictEqual(response.status, 200);
+				assert.lengthOf(response.body.result, 0);
+			});
+		});
+
+		it('should respond with an empty body on delete', function() {
+			return User.create({
+				name: 'Foo'
+			}).then(function(user) {
+				return handler.handle({
+					method: 'DELETE',
+					path: '/users/' + user.get('id')
+				});
+			}).then(function(response) {
+				assert.strictEqual(response.status, 204);
+				assert.isUndefined(response.body);
+			});
+		});
+
+		it('should respond with not found', function() {
+			return handler.handle({
+				method: 'GET',
+				path: '/bars'
+			}).then(function(response) {
+				assert.strictEqual(response.status, 404);
+				expect(response.body).to.have.property('message', 'Can not GET /bars.');
+			});
+		});
+
+		it('should respond with an error', function() {
+			return handler.handle({
+				method: 'POST',
+				path: '/users'
+			}).then(function(response) {
+				assert.strictEqual(response.status, 400);
+				expect(response.body).to.have.property('message', 'An empty payload recieved from the request.');
+			});
+		});
+
+		it('should negotiate the media type from the Accept header', function() {
+			return User.create({
+				name: 'Foo, "Bar"'
+			}).then(function(user) {
+				return handler.handle({
+					method: 'GET',
+					path: '/users/' + user.get('id'),
+					query: {
+						fields: 'name'
+					},
+					headers: {
+						Accept: 'text/csv, application/json;q=0.5'
+					}
+				});
+			}).then(function(response) {
+				assert.strictEqual(response.status, 200);
+				assert.strictEqual(response.headers['Content-Type'], 'text/csv');
+				assert.match(response.body, /^id,name\r\n\d+,"Foo, ""Bar"""\r\n$/);
+			});
+		});
+
+		it('should respond with not acceptable', function() {
+			return handler.handle({
+				method: 'GET',
+				path: '/users',
+				headers: {
+					accept: 'application/xml'
+				}
+			}).then(function(response) {
+				assert.strictEqual(response.status, 406);
+				expect(response.body).to.have.property('message', 'Can not serialize \'Users\' as \'application/xml\'.');
+			});
+		});
+
+		it('should respond with field errors', function() {
+			return handler.handle({
+				method: 'POST',
+				path: '/users',
+				body: {
+					email: 'foo@bar.com'
+				}
+			}).then(function(response) {
+				assert.strictEqual(response.status, 422);
+				assert.deepEqual(response.body.errors, [{
+					path: 'name',
+					message: 'name cannot be null',
+					validator: 'notNull'
+				}]);
+			});
+		});
+
+		it('should not expose server error messages', function() {
+			assert.deepEqual(handler.handleError(new Error('Secret')), {
+				status: 500,
+				headers: {
+					'Content-Type': 'application/json'
+				},
+				body: {
+					message: 'Internal Server Error',
+					statusCode: 500
+				}
+			});
+		});
+
+	});
+
+	describe('#bindings', function() {
+
+		it('should handle requests with a http request listener', function(done) {
+			const app = http.createServer(bindings.createRequestListener(handler, {
+				prefix: '/api'
+			}));
+
+			request(app).post('/api/users')
+				.send({
+					name: 'Foo'
+				})
+				.expect(201)
+				.expect(function(res) {
+					expect(res.body.result).to.have.property('name', 'Foo');
+				})
+				.end(done);
+		});
+
+		it('should respond with bad request for an invalid body', function(done) {
+			const app = http.createServer(bindings.createRequestListener(handler));
+
+			request(app).post('/users')
+				.set('Content-Type', 'application/json')
+				.send('{name')
+				.expect(400)
+				.end(done);
+		});
+
+		it('should respond with an error when the context option throws', function(done) {
+			const app = http.createServer(bindings.createRequestListener(handler, {
+				context() {
+					throw new Error('Invalid session');
+				}
+			}));
+
+			request(app).get('/users')
+				.expect(500)
+				.expect(function(res) {
+					expect(res.body).to.have.property('message', 'Internal Server Error');
+				})
+				.end(done);
+		});
+
+		it('should handle requests with a Koa middleware', function() {
+			const middleware = bindings.createKoaMiddleware(handler);
+			const ctx = {
+				method: 'POST',
+				path: '/users',
+				query: {},
+				headers: {},
+				request: {
+					body: {
+						name: 'Foo'
+					}
+				},
+				set(headers) {
+					this.responseHeaders = headers;
+				}
+			};
+
+			return middleware(ctx, function() {
+				throw new Error('Next middleware should not be called');
+			}).then(function() {
+				assert.strictEqual(ctx.status, 201);
+				expect(ctx.body.result).to.have.property('name', 'Foo');
+				expect(ctx.responseHeaders).to.have.property('Content-Type', 'application/json');
+			});
+		});
+
+		it('should create the request context with the context option', function() {
+			const contextHandler = Object.create(handler);
+			let context;
+
+			contextHandler.handle = function(request) {
+				context = request.context;
+				return handler.handle(request);
+			};
+
+			const middleware = bindings.createKoaMiddleware(contextHandler, {
+				context(ctx) {
+					return {
+						user: ctx.state.user
+					};
+				}
+			});
+			const ctx = {
+				method: 'GET',
+				path: '/users',
+				query: {},
+				headers: {},
+				request: {},
+				state: {
+					user: 'admin'
+				},
+				set() {}
+			};
+
+			return middleware(ctx).then(function() {
+				assert.strictEqual(ctx.status, 200);
+				assert.deepEqual(context, {
+					user: 'admin'
+				});
+			});
+		});
+
+		it('should call the next Koa middleware', function() {
+			const middleware = bindings.createKoaMiddleware(handler);
+			const result = middleware({
+				method: 'GET',
+				path: '/foos'
+			}, function() {
+				return 'next';
+			});
+
+			assert.strictEqual(result, 'next', 'Next middleware should be called');
+		});
+
+		it('should handle requests with a Fastify plugin', function(done) {
+			const fastify = {
+				all(path, callback) {
+					this.path = path;
+					this.callback = callback;
+				}
+			};
+
+			bindings.createFastifyPlugin(handler)(fastify, {}, function() {
+				assert.strictEqual(fastify.path, '/*');
+
+				fastify.callback({
+					method: 'POST',
+					params: {
+						'*': 'users'
+					},
+					query: {},
+					headers: {},
+					body: {
+						name: 'Foo'
+					}
+				}, {
+					code(status) {
+						assert.strictEqual(status, 201);
+						return this;
+					},
+					headers(headers) {
+						expect(headers).to.have.property('Content-Type', 'application/json');
+						return this;
+					},
+					send(body) {
+						expect(body.result).to.have.property('name', 'Foo');
+						done();
+					}
+				});
+			});
+		});
+
+	});
+
+	afterEach(function(done) {
+		User.destroy({
+			where: {}
+		}).then(function() {
+			done();
+		}, done);
+	});
+
+	// Delete the database file, just in case :)
+	after(function(done) {
+		require('fs').unlink(__dirname + '/request-handler.sqlite', done);
+	});
+
+});
@@ -103,6 +103,36 @@ describe('Resolver', function() {
 
 	});
 
+	describe('#resolveHooks', function() {
+
+		it('should fall back to empty hooks only once', function() {
+			const empty = new MockResolver(DB);
+			let calls = 0;
+
+			empty.resolve = function() {
+				calls++;
+				return null;
+			};
+
+			assert.deepEqual(empty.resolveHooks(DB, 'users'), {});
+			assert.deepEqual(empty.resolveHooks(DB, 'users'), {});
+			assert.strictEqual(calls, 1, 'Should cache the empty hooks.');
+		});
+
+		it('should throw the errors of the resolve method', function() {
+			const throwing = new MockResolver(DB);
+
+			throwing.resolve = function() {
+				throw new SyntaxError('Unexpected token');
+			};
+
+			assert.throw(function() {
+				throwing.resolveHooks(DB, 'users');
+			}, SyntaxError, 'Unexpected token');
+		});
+
+	});
+
 	describe('#clearCache', function() {
 		it('should clear cache', function() {
 			resolver.clearCache();
@@ -1,19 +1,25 @@
-/* globals describe, it */
+/* globals describe, it, before */
 "use strict";
 
 const chai = require('chai');
 const database = require('./server').connect();
 const RestService = require('../lib/rest-service');
 const RestAdapter = require('../lib/rest-adapter');
+const Serializer = require('../lib/serializer');
+const JSONAPISerializer = require('../lib/jsonapi-serializer');
+const HALSerializer = require('../lib/hal-serializer');
+const CSVSerializer = require('../lib/csv-serializer');
 
 const chaiAsPromised = require('chai-as-promised');
 chai.use(chaiAsPromised);
 
 const assert = chai.assert;
+const expect = chai.expect;
 
 const Adapter = new RestAdapter(database.sequelize);
 const User = database.models.User;
 const Task = database.models.Task;
+const BadRequestError = require('../lib/error').BadRequestError;
 
 describe('RestAdapter', function() {
 
@@ -52,6 +58,66 @@ describe('RestAdapter', function() {
 		});
 	});
 
+	describe('#negotiate', function() {
+
+		it('should resolve the default serializer', function() {
+			const negotiated = Adapter.negotiate('users');
+
+			assert.strictEqual(negotiated.mediaType, 'application/json');
+			assert.instanceOf(negotiated.serializer, Serializer);
+		});
+
+		it('should resolve serializers for media types', function() {
+			assert.instanceOf(Adapter.serializerFor('users', 'application/vnd.api+json'), JSONAPISerializer);
+			assert.instanceOf(Adapter.serializerFor('users', 'application/hal+json'), HALSerializer);
+			assert.instanceOf(Adapter.serializerFor('users', 'text/csv'), CSVSerializer);
+		});
+
+		it('should match wildcard media ranges', function() {
+			assert.strictEqual(Adapter.negotiate('users', 'text/*').mediaType, 'text/csv');
+			assert.strictEqual(Adapter.negotiate('users', 'application/xml, application/*;q=0.9').mediaType, 'application/json');
+		});
+
+		it('should throw an error for not acceptable media types', function() {
+			expect(function() {
+				Adapter.negotiate('users', 'application/xml');
+			}).to.throw('Can not serialize \'users\' as \'application/xml\'.').with.property('statusCode', 406);
+		});
+
+		it('should fall back to the default serializers for resolvers ignoring the media type', function() {
+			const Resolver = require('../lib/resolver');
+
+			class UserSerializer extends Serializer {}
+
+			class JSONResolver extends Resolver {
+				resolve(sequelize, type) {
+					if (type === 'serializers') {
+						return new UserSerializer(sequelize);
+					}
+				}
+			}
+
+			class EmptyResolver extends Resolver {
+				resolve() {}
+			}
+
+			const adapter = new RestAdapter(database.sequelize, new JSONResolver());
+
+			assert.instanceOf(adapter.serializerFor('users', 'application/json'), UserSerializer);
+			assert.instanceOf(adapter.serializerFor('users', 'application/hal+json'), HALSerializer);
+			assert.instanceOf(adapter.serializerFor('users', 'text/csv'), CSVSerializer);
+			expect(function() {
+				adapter.negotiate('users', 'application/xml');
+			}).to.throw('Can not serialize \'users\' as \'application/xml\'.').with.property('statusCode', 406);
+
+			const empty = new RestAdapter(database.sequelize, new EmptyResolver());
+
+			assert.strictEqual(empty.negotiate('users', 'application/vnd.api+json').mediaType, 'application/vnd.api+json');
+			assert.instanceOf(empty.serializerFor('users', 'application/vnd.api+json'), JSONAPISerializer);
+		});
+
+	});
+
 	describe('#modelFor', function() {
 		it('should resolve a model as a String', function() {
 			const msg = 'Should be an instance of a Model';
@@ -95,10 +161,1437 @@ describe('RestAdapter', function() {
 
 	describe('#find', function() {
 
+		before(function() {
+			return database.sequelize.sync({
+				force: true
+			}).then(function() {
+				return User.bulkCreate([{
+					name: 'B'
+				}, {
+					name: 'A'
+				}, {
+					name: 'B'
+				}, {
+					name: 'C'
+				}, {
+					name: 'A'
+				}]);
+			});
+		});
+
+		it('should find pages with a cursor', function() {
+			const pageable = {
+				size: 2,
+				sort: '-name',
+				cursor: ''
+			};
+
+			return Adapter.find('users', {}, pageable).then(function(first) {
+				assert.deepEqual(first.result.map((user) => user.id), [4, 1]);
+				assert.isNull(first.meta.prevCursor);
+				expect(first.meta).to.not.have.property('totalSize');
+
+				pageable.cursor = first.meta.nextCursor;
+
+				return Adapter.find('users', {}, pageable);
+			}).then(function(second) {
+				assert.deepEqual(second.result.map((user) => user.id), [3, 2]);
+				assert.isString(second.meta.prevCursor);
+
+				pageable.cursor = second.meta.nextCursor;
+
+				return Adapter.find('users', {}, pageable);
+			}).then(function(last) {
+				assert.deepEqual(last.result.map((user) => user.id), [5]);
+				assert.isNull(last.meta.nextCursor);
+
+				pageable.cursor = last.meta.prevCursor;
+
+				return Adapter.find('users', {}, pageable);
+			}).then(function(previous) {
+				assert.deepEqual(previous.result.map((user) => user.id), [3, 2]);
+				assert.isString(previous.meta.nextCursor);
+				assert.isString(previous.meta.prevCursor);
+			});
+		});
+
+		it('should find pages with a cursor and sparse fields', function() {
+			const pageable = {
+				size: 2,
+				sort: 'name',
+				cursor: ''
+			};
+			const options = {
+				fields: 'email'
+			};
+
+			return Adapter.find('users', {}, pageable, options).then(function(first) {
+				assert.deepEqual(first.result.map((user) => user.id), [2, 5]);
+				expect(first.result[0]).to.not.have.property('name');
+
+				pageable.cursor = first.meta.nextCursor;
+
+				return Adapter.find('users', {}, pageable, options);
+			}).then(function(second) {
+				assert.deepEqual(second.result.map((user) => user.id), [1, 3]);
+				expect(second.result[0]).to.not.have.property('name');
+			});
+		});
+
+		it('should be rejected for an invalid cursor', function() {
+			return assert.isRejected(Adapter.find('users', {}, {
+				cursor: 'foo'
+			}), 'Invalid cursor.');
+		});
+
+	});
+
+	describe('#export', function() {
+
+		before(function() {
+			return database.sequelize.sync({
+				force: true
+			}).then(function() {
+				return User.bulkCreate([{
+					name: 'B',
+					email: 'b@example.com'
+				}, {
+					name: 'A, "Z"'
+				}, {
+					name: 'C'
+				}, {
+					name: 'D'
+				}, {
+					name: 'E'
+				}]);
+			});
+		});
+
+		function read(stream) {
+			return new Promise(function(resolve, reject) {
+				const chunks = [];
+
+				stream.on('data', (chunk) => chunks.push(chunk));
+				stream.on('error', reject);
+				stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+			});
+		}
+
+		it('should export records as CSV in batches', function() {
+			const stream = Adapter.export('users', {}, {
+				sort: '-name'
+			}, {
+				fields: 'name',
+				batchSize: 2
+			});
+
+			assert.strictEqual(stream.mediaType, 'text/csv');
+
+			return read(stream).then(function(csv) {
+				assert.strictEqual(csv, 'id,name\r\n5,E\r\n4,D\r\n3,C\r\n1,B\r\n2,"A, ""Z"""\r\n');
+			});
+		});
+
+		it('should export all batches with sparse fields', function() {
+			const stream = Adapter.export('users', {}, {
+				sort: 'name'
+			}, {
+				fields: 'email',
+				batchSize: 2
+			});
+
+			return read(stream).then(function(csv) {
+				assert.strictEqual(csv, 'id,email\r\n2,\r\n1,b@example.com\r\n3,\r\n4,\r\n5,\r\n');
+			});
+		});
+
+		it('should export filtered records as NDJSON', function() {
+			const stream = Adapter.export('users', {
+				name: 'B'
+			}, {}, {
+				mediaType: 'application/x-ndjson'
+			});
+
+			assert.strictEqual(stream.mediaType, 'application/x-ndjson');
+
+			return read(stream).then(function(ndjson) {
+				const lines = ndjson.split('\n');
+
+				assert.lengthOf(lines, 2);
+				assert.strictEqual(lines[1], '');
+				expect(JSON.parse(lines[0])).to.include({
+					id: 1,
+					name: 'B',
+					email: 'b@example.com'
+				});
+			});
+		});
+
+		it('should write the CSV header without records', function() {
+			return read(Adapter.export('users', {
+				name: 'F'
+			})).then(function(csv) {
+				assert.strictEqual(csv, 'id,name,email,createdAt,updatedAt\r\n');
+			});
+		});
+
+		it('should emit query errors', function() {
+			return assert.isRejected(read(Adapter.export('users', {}, {
+				sort: 'foo'
+			})), 'Unknown attribute \'foo\' for \'User\' in cursor sort.');
+		});
+
+		it('should throw an error for unsupported media types', function() {
+			expect(function() {
+				Adapter.export('users', {}, {}, {
+					mediaType: 'application/json'
+				});
+			}).to.throw('Can not export \'users\' as \'application/json\'.').with.property('statusCode', 406);
+		});
+
 	});
 
 	describe('#findById', function() {
 
+		let user;
+
+		before(function() {
+			return database.sequelize.sync({
+				force: true
+			}).then(function() {
+				return User.create({
+					name: 'Foo Bar',
+					Tasks: [{
+						name: 'Task'
+					}]
+				}, {
+					include: [{
+						model: Task,
+						as: 'Tasks'
+					}]
+				});
+			}).then(function(instance) {
+				user = instance;
+			});
+		});
+
+		it('should not include associations by default', function() {
+			return Adapter.findById('users', user.get('id')).then(function(serialized) {
+				expect(serialized.result).to.have.property('name', 'Foo Bar');
+				expect(serialized.result).to.not.have.property('Tasks');
+			});
+		});
+
+		it('should include associations from the include option', function() {
+			return Adapter.findById('users', user.get('id'), {
+				include: 'tasks,tasks.user'
+			}).then(function(serialized) {
+				assert.lengthOf(serialized.result.Tasks, 1, 'Should include 1 Task');
+				expect(serialized.result.Tasks[0]).to.have.deep.property('User.name', 'Foo Bar');
+			});
+		});
+
+		it('should include default associations for the resource', function() {
+			const adapter = new RestAdapter(database.sequelize, undefined, {
+				includes: {
+					Users: ['tasks']
+				}
+			});
+
+			return adapter.findById('users', user.get('id')).then(function(serialized) {
+				assert.lengthOf(serialized.result.Tasks, 1, 'Should include 1 Task');
+			});
+		});
+
+		it('should be rejected for an unknown association', function() {
+			return assert.isRejected(Adapter.findById('users', user.get('id'), {
+				include: 'projects'
+			}), 'Unknown association \'projects\' for \'User\' in include \'projects\'.');
+		});
+
+		it('should load only the requested fields', function() {
+			return Adapter.findById('users', user.get('id'), {
+				include: 'tasks',
+				fields: ['name', {
+					tasks: 'type'
+				}]
+			}).then(function(serialized) {
+				assert.sameMembers(Object.keys(serialized.result), ['id', 'name', 'Tasks']);
+				assert.sameMembers(Object.keys(serialized.result.Tasks[0]), ['id', 'type', 'UserId']);
+			});
+		});
+
+	});
+
+	describe('#applyPatch', function() {
+
+		let user, tasks;
+
+		before(function() {
+			return database.sequelize.sync({
+				force: true
+			}).then(function() {
+				return User.create({
+					name: 'Foo',
+					email: 'foo@bar.com'
+				});
+			}).then(function(instance) {
+				user = instance;
+
+				return Task.bulkCreate([{
+					name: 'First',
+					UserId: user.get('id')
+				}, {
+					name: 'Second'
+				}]);
+			}).then(function() {
+				return Task.findAll({
+					order: [['id', 'ASC']]
+				});
+			}).then(function(instances) {
+				tasks = instances;
+			});
+		});
+
+		it('should patch attributes and association arrays', function() {
+			return Adapter.applyPatch('users', user.get('id'), [{
+				op: 'test',
+				path: '/name',
+				value: 'Foo'
+			}, {
+				op: 'replace',
+				path: '/name',
+				value: 'Bar'
+			}, {
+				op: 'remove',
+				path: '/email'
+			}, {
+				op: 'add',
+				path: '/tasks/-',
+				value: tasks[1].get('id')
+			}], {
+				include: 'tasks'
+			}).then(function(serialized) {
+				expect(serialized.result).to.have.property('name', 'Bar');
+				expect(serialized.result).to.have.property('email', null);
+				assert.sameMembers(serialized.result.Tasks.map((task) => task.name), ['First', 'Second']);
+			});
+		});
+
+		it('should remove records from association arrays', function() {
+			return Adapter.applyPatch('users', user.get('id'), [{
+				op: 'remove',
+				path: '/tasks/1'
+			}, {
+				op: 'remove',
+				path: '/tasks/0'
+			}], {
+				include: 'tasks'
+			}).then(function(serialized) {
+				assert.lengthOf(serialized.result.Tasks, 0);
+			});
+		});
+
+		it('should not persist anything when a test fails', function() {
+			const patch = Adapter.applyPatch('users', user.get('id'), [{
+				op: 'replace',
+				path: '/name',
+				value: 'Baz'
+			}, {
+				op: 'test',
+				path: '/email',
+				value: 'foo@bar.com'
+			}]);
+
+			return patch.then(function() {
+				throw new Error('Patch should be rejected');
+			}, function(error) {
+				expect(error).to.have.property('statusCode', 409);
+				return User.findById(user.get('id'));
+			}).then(function(instance) {
+				expect(instance).to.have.property('name', 'Bar');
+			});
+		});
+
+		it('should be rejected for a missing path', function() {
+			return assert.isRejected(Adapter.applyPatch('users', user.get('id'), [{
+				op: 'replace',
+				path: '/age',
+				value: 10
+			}]), 'Path \'/age\' does not exist.');
+		});
+
+	});
+
+	describe('optimistic locking', function() {
+
+		const adapter = new RestAdapter(database.sequelize, undefined, {
+			optimisticLocking: true
+		});
+
+		let foo;
+
+		before(function() {
+			return database.sequelize.sync({
+				force: true
+			}).then(function() {
+				return database.models.Foo.create({
+					name: 'Foo'
+				});
+			}).then(function(instance) {
+				foo = instance;
+			});
+		});
+
+		it('should add the ETags to the meta', function() {
+			return adapter.findById('foos', foo.get('id')).then(function(serialized) {
+				assert.deepEqual(serialized.meta, {
+					etag: '"0"'
+				});
+
+				return adapter.find('foos', {}, {});
+			}).then(function(serialized) {
+				assert.deepEqual(serialized.meta.etags, {
+					[foo.get('id')]: '"0"'
+				});
+			});
+		});
+
+		it('should update a record matching the If-Match header', function() {
+			return adapter.update('foos', foo.get('id'), {
+				name: 'Bar'
+			}, {
+				ifMatch: '"0"'
+			}).then(function(serialized) {
+				expect(serialized.result).to.have.property('name', 'Bar');
+				expect(serialized.result).to.have.property('version', 1);
+				assert.strictEqual(serialized.meta.etag, '"1"');
+			});
+		});
+
+		it('should reject a stale version', function() {
+			return adapter.patch('foos', foo.get('id'), {
+				name: 'Baz'
+			}, {
+				ifMatch: '"0"'
+			}).then(function() {
+				throw new Error('Update should be rejected');
+			}, function(error) {
+				expect(error).to.have.property('statusCode', 412);
+				return adapter.delete('foos', foo.get('id'), {
+					version: 0
+				});
+			}).then(function() {
+				throw new Error('Delete should be rejected');
+			}, function(error) {
+				expect(error).to.have.property('statusCode', 412);
+				return database.models.Foo.findById(foo.get('id'));
+			}).then(function(instance) {
+				expect(instance).to.have.property('name', 'Bar');
+			});
+		});
+
+		it('should delete a record with the expected version', function() {
+			return adapter.delete('foos', foo.get('id'), {
+				version: 1
+			}).then(function() {
+				return database.models.Foo.findById(foo.get('id'));
+			}).then(function(instance) {
+				assert.isNull(instance);
+			});
+		});
+
+		it('should not check preconditions by default', function() {
+			return User.create({
+				name: 'Foo'
+			}).then(function(user) {
+				return Adapter.update('users', user.get('id'), {
+					name: 'Bar'
+				}, {
+					ifMatch: '"1"'
+				});
+			}).then(function(serialized) {
+				expect(serialized.result).to.have.property('name', 'Bar');
+				assert.deepEqual(serialized.meta, {});
+			});
+		});
+
+	});
+
+	describe('conditional requests', function() {
+
+		let user;
+
+		before(function() {
+			return database.sequelize.sync({
+				force: true
+			}).then(function() {
+				return User.create({
+					name: 'Foo'
+				});
+			}).then(function(instance) {
+				user = instance;
+			});
+		});
+
+		it('should respond with the validators', function() {
+			return Adapter.findById('users', user.get('id'), {
+				conditional: 'strong'
+			}).then(function(response) {
+				expect(response).to.have.property('status', 200);
+				expect(response.body.result).to.have.property('name', 'Foo');
+				expect(response.headers).to.have.property('ETag').that.matches(/^"[0-9a-f]{40}"$/);
+				expect(response.headers).to.have.property('Last-Modified', user.get('updatedAt').toUTCString());
+
+				return Adapter.findById('users', user.get('id'), {
+					conditional: 'strong',
+					ifNoneMatch: response.headers.ETag
+				});
+			}).then(function(response) {
+				expect(response).to.have.property('status', 304);
+				assert.isUndefined(response.body);
+			});
+		});
+
+		it('should not serialize unmodified records with weak ETags', function() {
+			const serialize = Serializer.prototype.serialize;
+			let serialized = 0;
+
+			Serializer.prototype.serialize = function() {
+				serialized++;
+				return serialize.apply(this, arguments);
+			};
+
+			return Adapter.find('users', {}, {}, {
+				conditional: 'weak',
+				ifNoneMatch: `W/"${user.get('updatedAt').getTime()}-1"`
+			}).then(function(response) {
+				expect(response).to.have.property('status', 304);
+				assert.strictEqual(serialized, 0);
+
+				return Adapter.find('users', {}, {}, {
+					conditional: 'weak',
+					ifModifiedSince: new Date(user.get('updatedAt').getTime() - 1000).toUTCString()
+				});
+			}).then(function(response) {
+				expect(response).to.have.property('status', 200);
+				expect(response.body.result).to.have.length(1);
+				expect(response.headers).to.have.property('ETag', `W/"${user.get('updatedAt').getTime()}-1"`);
+			}).finally(function() {
+				Serializer.prototype.serialize = serialize;
+			});
+		});
+
+		it('should create different weak ETags for each representation', function() {
+			let full;
+
+			return Adapter.find('users', {}, {}, {
+				conditional: 'weak',
+				mediaType: 'application/json'
+			}).then(function(response) {
+				full = response.headers.ETag;
+				expect(response.headers).to.have.property('Vary', 'Accept');
+
+				return Adapter.find('users', {}, {}, {
+					conditional: 'weak',
+					mediaType: 'application/json',
+					fields: 'id',
+					ifNoneMatch: full
+				});
+			}).then(function(response) {
+				expect(response).to.have.property('status', 200);
+				expect(response.headers.ETag).to.not.equal(full);
+				assert.deepEqual(Object.keys(response.body.result[0]), ['id']);
+			});
+		});
+
+		it('should not respond conditionally to writes', function() {
+			return Adapter.update('users', user.get('id'), {
+				name: 'Bar'
+			}, {
+				conditional: 'weak'
+			}).then(function(serialized) {
+				expect(serialized.result).to.have.property('name', 'Bar');
+			});
+		});
+
+	});
+
+	describe('bulk operations', function() {
+
+		before(function() {
+			return database.sequelize.sync({
+				force: true
+			});
+		});
+
+		it('should create records all-or-nothing', function() {
+			return Adapter.bulkCreate('users', [{
+				name: 'Foo'
+			}, {
+				name: 'Bar',
+				email: 'invalid'
+			}]).then(function() {
+				throw new Error('Bulk create should be rejected');
+			}, function(error) {
+				expect(error).to.have.property('statusCode', 422);
+				return User.count();
+			}).then(function(count) {
+				assert.strictEqual(count, 0);
+				return Adapter.bulkCreate('users', [{
+					name: 'Foo'
+				}, {
+					name: 'Bar'
+				}]);
+			}).then(function(serialized) {
+				assert.lengthOf(serialized.result, 2);
+				expect(serialized.result[0]).to.have.property('name', 'Foo');
+				expect(serialized.result[1]).to.have.property('name', 'Bar');
+				assert.notProperty(serialized.meta, 'results');
+			});
+		});
+
+		it('should report the result of each item in partial mode', function() {
+			return User.findAll({
+				order: [['id', 'ASC']]
+			}).then(function(users) {
+				return Adapter.bulkUpdate('users', [{
+					id: users[0].get('id'),
+					name: 'Baz'
+				}, {
+					id: users[1].get('id'),
+					email: 'invalid'
+				}, {
+					name: 'Missing id'
+				}], {
+					partial: true
+				});
+			}).then(function(serialized) {
+				assert.lengthOf(serialized.result, 1);
+				expect(serialized.result[0]).to.have.property('name', 'Baz');
+				expect(serialized.meta.results[0]).to.deep.equal({
+					status: 200,
+					id: serialized.result[0].id
+				});
+				expect(serialized.meta.results[1]).to.have.property('status', 422);
+				expect(serialized.meta.results[1].errors[0]).to.have.property('path', 'email');
+				expect(serialized.meta.results[2]).to.have.property('status', 400);
+
+				return User.count({
+					where: {
+						name: 'Bar'
+					}
+				});
+			}).then(function(count) {
+				assert.strictEqual(count, 1);
+			});
+		});
+
+		it('should delete records', function() {
+			return User.findAll().then(function(users) {
+				return Adapter.bulkDelete('users', [users[0].get('id'), 9999], {
+					partial: true
+				});
+			}).then(function(serialized) {
+				assert.lengthOf(serialized.result, 0);
+				expect(serialized.meta.results[0]).to.have.property('status', 204);
+				expect(serialized.meta.results[1]).to.have.property('status', 404);
+
+				return User.count();
+			}).then(function(count) {
+				assert.strictEqual(count, 1);
+				return expect(Adapter.bulkDelete('users', [])).to.be.rejectedWith('Bulk operations require a list of items.');
+			});
+		});
+
+	});
+
+	describe('paranoid models', function() {
+
+		const Note = database.models.Note;
+		let notes;
+
+		before(function() {
+			return database.sequelize.sync({
+				force: true
+			}).then(function() {
+				return Note.bulkCreate([{
+					title: 'Foo'
+				}, {
+					title: 'Bar'
+				}]);
+			}).then(function() {
+				return Note.findAll({
+					order: [['id', 'ASC']]
+				});
+			}).then(function(instances) {
+				notes = instances;
+				return Adapter.delete('notes', notes[0].get('id'));
+			});
+		});
+
+		it('should find soft deleted records', function() {
+			return Adapter.find('notes', {}, {}).then(function(serialized) {
+				assert.lengthOf(serialized.result, 1);
+				return Adapter.find('notes', {}, {}, {
+					withDeleted: true
+				});
+			}).then(function(serialized) {
+				assert.lengthOf(serialized.result, 2);
+				assert.strictEqual(serialized.meta.totalSize, 2);
+				return Adapter.find('notes', {}, {}, {
+					onlyDeleted: true
+				});
+			}).then(function(serialized) {
+				assert.lengthOf(serialized.result, 1);
+				expect(serialized.result[0]).to.have.property('title', 'Foo');
+				return Adapter.findById('notes', notes[0].get('id'), {
+					withDeleted: true
+				});
+			}).then(function(serialized) {
+				expect(serialized.result).to.have.property('title', 'Foo');
+				return expect(Adapter.findById('notes', notes[0].get('id'))).to.be.rejectedWith('Can not find model \'Note\'.');
+			});
+		});
+
+		it('should restore a soft deleted record', function() {
+			return Adapter.restore('notes', notes[0].get('id')).then(function(serialized) {
+				expect(serialized.result).to.have.property('title', 'Foo');
+				assert.isNull(serialized.result.deletedAt);
+			});
+		});
+
+		it('should force the delete', function() {
+			return Adapter.delete('notes', notes[1].get('id'), {
+				force: true
+			}).then(function() {
+				return Note.count({
+					paranoid: false
+				});
+			}).then(function(count) {
+				assert.strictEqual(count, 1);
+			});
+		});
+
+		it('should reject the options for models which are not paranoid', function() {
+			return expect(Adapter.find('users', {}, {}, {
+				withDeleted: true
+			})).to.be.rejectedWith('Model \'User\' is not paranoid, \'withDeleted\' is not supported.').then(function() {
+				return expect(Adapter.delete('users', 1, {
+					force: true
+				})).to.be.rejectedWith(BadRequestError, 'Model \'User\' is not paranoid, \'force\' is not supported.');
+			}).then(function() {
+				return expect(Adapter.restore('users', 1)).to.be.rejectedWith(BadRequestError, 'Model \'User\' is not paranoid, \'restore\' is not supported.');
+			});
+		});
+
+	});
+
+	describe('hooks', function() {
+
+		const ForbiddenError = require('../lib/error').ForbiddenError;
+		const calls = [];
+		const adapter = new RestAdapter(database.sequelize, undefined, {
+			hooks: {
+				beforeCreate(model, data, transaction, context) {
+					calls.push(['beforeCreate', model.name, !!transaction, context]);
+					data.email = 'hook@example.com';
+				}
+			}
+		});
+
+		before(function() {
+			const DefaultResolver = adapter.resolver.constructor;
+
+			class HooksResolver extends DefaultResolver {
+				resolve(sequelize, type, name, format) {
+					if (type === 'hooks' && name === 'users') {
+						return {
+							afterFind(model, result) {
+								calls.push(['afterFind', result.get('name')]);
+							},
+							beforeDelete(model, instance) {
+								if (instance.get('name') === 'Protected') {
+									throw new ForbiddenError('Record is protected.');
+								}
+							}
+						};
+					}
+
+					return super.resolve(sequelize, type, name, format);
+				}
+			}
+
+			adapter.resolver = new HooksResolver();
+			adapter.addHook('afterUpdate', function(model, instance) {
+				calls.push(['afterUpdate', instance.get('name')]);
+			});
+
+			return database.sequelize.sync({
+				force: true
+			});
+		});
+
+		it('should run the global and resource hooks', function() {
+			return adapter.create('users', {
+				name: 'Foo'
+			}, {}, 'context').then(function(serialized) {
+				expect(serialized.result).to.have.property('email', 'hook@example.com');
+
+				return adapter.update('users', serialized.result.id, {
+					name: 'Bar'
+				});
+			}).then(function() {
+				assert.deepEqual(calls, [
+					['beforeCreate', 'User', true, 'context'],
+					['afterFind', 'Foo'],
+					['afterUpdate', 'Bar'],
+					['afterFind', 'Bar']
+				]);
+				assert.deepEqual(adapter.hooksFor('tasks'), {
+					beforeCreate: adapter.hooks.beforeCreate,
+					afterUpdate: adapter.hooks.afterUpdate
+				});
+			});
+		});
+
+		it('should stop the operation when a hook throws an error', function() {
+			return User.create({
+				name: 'Protected'
+			}).then(function(user) {
+				return expect(adapter.delete('users', user.get('id'))).to.be.rejectedWith(ForbiddenError).then(function() {
+					return User.findById(user.get('id'));
+				});
+			}).then(function(user) {
+				assert.isNotNull(user);
+				expect(function() {
+					adapter.addHook('beforeSave', function() {});
+				}).to.throw('Unknown hook \'beforeSave\'.');
+			});
+		});
+
+		it('should run the find hooks for subresources and exports', function() {
+			const found = [];
+			const findAdapter = new RestAdapter(database.sequelize, undefined, {
+				hooks: {
+					beforeFind(model) {
+						found.push(['beforeFind', model.name]);
+					},
+					afterFind(model, result) {
+						found.push(['afterFind', model.name, (result.rows || result).length]);
+					}
+				}
+			});
+
+			return User.create({
+				name: 'Owner',
+				Tasks: [{
+					name: 'Task'
+				}]
+			}, {
+				include: [{
+					model: Task,
+					as: 'Tasks'
+				}]
+			}).then(function(user) {
+				return findAdapter.findSubResources('users', user.get('id'), 'tasks');
+			}).then(function() {
+				const stream = findAdapter.export('users', {
+					name: 'Owner'
+				}, {}, {
+					mediaType: 'application/x-ndjson'
+				});
+
+				return new Promise(function(resolve, reject) {
+					stream.on('data', function() {});
+					stream.on('error', reject);
+					stream.on('end', resolve);
+				});
+			}).then(function() {
+				assert.deepEqual(found, [
+					['beforeFind', 'Task'],
+					['afterFind', 'Task', 1],
+					['beforeFind', 'User'],
+					['afterFind', 'User', 1]
+				]);
+			});
+		});
+
+		it('should run the write hooks for subresources', function() {
+			const written = [];
+			const writeAdapter = new RestAdapter(database.sequelize, undefined, {
+				hooks: {
+					beforeCreate(model, data, transaction, context) {
+						written.push(['beforeCreate', model.name, data.name, !!transaction, context]);
+						data.name = data.name.toUpperCase();
+					},
+					afterCreate(model, instance) {
+						written.push(['afterCreate', model.name, instance.get('name')]);
+					},
+					beforeDelete(model, instance) {
+						written.push(['beforeDelete', model.name, instance.get('name')]);
+
+						if (instance.get('name') === 'PROTECTED') {
+							throw new ForbiddenError('Task is protected.');
+						}
+					},
+					afterDelete(model, instance) {
+						written.push(['afterDelete', model.name, instance.get('name')]);
+					}
+				}
+			});
+			let userId;
+
+			return User.create({
+				name: 'Writer'
+			}).then(function(user) {
+				userId = user.get('id');
+
+				return writeAdapter.createSubResources('users', userId, 'tasks', [{
+					name: 'first'
+				}, {
+					name: 'protected'
+				}], {}, 'context');
+			}).then(function(serialized) {
+				assert.deepEqual(serialized.result.map((task) => task.name).sort(), ['FIRST', 'PROTECTED']);
+				assert.deepEqual(serialized.result.map((task) => task.UserId), [userId, userId]);
+
+				return writeAdapter.deleteSubResources('users', userId, 'tasks', {
+					name: 'FIRST'
+				});
+			}).then(function(count) {
+				assert.strictEqual(count, 1);
+
+				return expect(writeAdapter.deleteSubResources('users', userId, 'tasks', {})).to.be.rejectedWith(ForbiddenError);
+			}).then(function() {
+				return Task.count({
+					where: {
+						UserId: userId
+					}
+				});
+			}).then(function(count) {
+				assert.strictEqual(count, 1);
+				assert.deepEqual(written, [
+					['beforeCreate', 'Task', 'first', true, 'context'],
+					['afterCreate', 'Task', 'FIRST'],
+					['beforeCreate', 'Task', 'protected', true, 'context'],
+					['afterCreate', 'Task', 'PROTECTED'],
+					['beforeDelete', 'Task', 'FIRST'],
+					['afterDelete', 'Task', 'FIRST'],
+					['beforeDelete', 'Task', 'PROTECTED']
+				]);
+			});
+		});
+
+	});
+
+	describe('request context', function() {
+
+		const Deserializer = require('../lib/deserializer');
+		const calls = [];
+		const adapter = new RestAdapter(database.sequelize);
+
+		class ContextService extends RestService {
+			persist(model, data, options, context) {
+				calls.push(['persist', context]);
+				return super.persist(model, data, options, context);
+			}
+			findOne(model, query, context) {
+				calls.push(['findOne', context]);
+				return super.findOne(model, query, context);
+			}
+		}
+
+		class ContextSerializer extends Serializer {
+			serializeRecord(record, context) {
+				calls.push(['serializeRecord', context]);
+				return super.serializeRecord(record, context);
+			}
+		}
+
+		class ContextDeserializer extends Deserializer {
+			deserialize(adapter, type, payload, context) {
+				calls.push(['deserialize', context]);
+				return payload;
+			}
+		}
+
+		before(function() {
+			const DefaultResolver = adapter.resolver.constructor;
+
+			class ContextResolver extends DefaultResolver {
+				resolve(sequelize, type, name, format) {
+					if (name === 'users' && type === 'services') {
+						return new ContextService(sequelize);
+					}
+
+					if (name === 'users' && type === 'serializers' && format === 'application/json') {
+						return new ContextSerializer(sequelize);
+					}
+
+					if (name === 'users' && type === 'deserializers') {
+						return new ContextDeserializer(sequelize);
+					}
+
+					return super.resolve(sequelize, type, name, format);
+				}
+			}
+
+			adapter.resolver = new ContextResolver();
+
+			return database.sequelize.sync({
+				force: true
+			});
+		});
+
+		it('should pass the context to the service, serializer and deserializer', function() {
+			const context = {
+				user: 'admin'
+			};
+
+			return adapter.create('users', {
+				name: 'Foo'
+			}, {}, context).then(function(serialized) {
+				expect(serialized.result).to.have.property('name', 'Foo');
+				assert.deepEqual(calls, [
+					['deserialize', context],
+					['persist', context],
+					['findOne', context],
+					['serializeRecord', context]
+				]);
+			});
+		});
+
+	});
+
+	describe('policies', function() {
+
+		const Policy = require('../lib/policy');
+		const ForbiddenError = require('../lib/error').ForbiddenError;
+		const adapter = new RestAdapter(database.sequelize);
+
+		class UserPolicy extends Policy {
+			canCreate(data, context) {
+				return context.admin;
+			}
+			canDelete(id, context) {
+				return Promise.resolve(context.admin);
+			}
+			scope(query, context) {
+				query.where = Object.assign({}, query.where, {
+					name: context.name
+				});
+
+				return query;
+			}
+		}
+
+		class TaskPolicy extends Policy {
+			canFind() {
+				return false;
+			}
+		}
+
+		class NotePolicy extends Policy {
+			scope(query, context) {
+				query.where = Object.assign({}, query.where, {
+					title: context.title
+				});
+
+				return query;
+			}
+		}
+
+		before(function() {
+			const DefaultResolver = adapter.resolver.constructor;
+
+			class PolicyResolver extends DefaultResolver {
+				resolve(sequelize, type, name, format) {
+					if (type === 'policies' && name === 'users') {
+						return new UserPolicy();
+					}
+
+					if (type === 'policies' && name.toLowerCase() === 'tasks') {
+						return new TaskPolicy();
+					}
+
+					if (type === 'policies' && name.toLowerCase() === 'notes') {
+						return new NotePolicy();
+					}
+
+					return super.resolve(sequelize, type, name, format);
+				}
+			}
+
+			adapter.resolver = new PolicyResolver();
+
+			return database.sequelize.sync({
+				force: true
+			});
+		});
+
+		it('should reject the actions which are not allowed', function() {
+			return expect(adapter.create('users', {
+				name: 'Foo'
+			}, {}, {
+				admin: false
+			})).to.be.rejectedWith(ForbiddenError, 'You are not allowed to create \'users\'.').then(function() {
+				return adapter.create('users', {
+					name: 'Foo'
+				}, {}, {
+					admin: true
+				});
+			}).then(function(serialized) {
+				return expect(adapter.delete('users', serialized.result.id, {}, {
+					admin: false
+				})).to.be.rejectedWith(ForbiddenError, 'You are not allowed to delete \'users\'.');
+			}).then(function() {
+				return User.count();
+			}).then(function(count) {
+				assert.strictEqual(count, 1);
+			});
+		});
+
+		it('should limit the found records with the scope', function() {
+			return User.bulkCreate([{
+				name: 'Bar'
+			}, {
+				name: 'Baz'
+			}]).then(function() {
+				return adapter.find('users', {}, {}, {}, {
+					name: 'Bar'
+				});
+			}).then(function(serialized) {
+				assert.lengthOf(serialized.result, 1);
+				expect(serialized.result[0]).to.have.property('name', 'Bar');
+				expect(serialized.meta).to.have.property('totalSize', 1);
+			});
+		});
+
+		it('should check the policy of the subresources', function() {
+			return expect(adapter.findSubResources('users', 1, 'tasks', {}, {})).to.be.rejectedWith(ForbiddenError, 'You are not allowed to find \'Tasks\'.');
+		});
+
+		it('should limit the found subresources with the scope', function() {
+			let project, hidden;
+
+			return database.models.Project.create({
+				name: 'Project',
+				Notes: [{
+					title: 'Visible'
+				}, {
+					title: 'Hidden'
+				}]
+			}, {
+				include: [database.models.Note]
+			}).then(function(instance) {
+				project = instance;
+				hidden = project.Notes.find((note) => note.get('title') === 'Hidden');
+
+				return adapter.findSubResources('projects', project.get('id'), 'notes', {}, {
+					title: 'Visible'
+				});
+			}).then(function(serialized) {
+				assert.deepEqual(serialized.result.map((note) => note.title), ['Visible']);
+
+				// single records are checked by the `canRead` method, not scoped
+				return adapter.findSubResourceById('projects', project.get('id'), 'notes', hidden.get('id'), {}, {
+					title: 'Visible'
+				});
+			}).then(function(serialized) {
+				expect(serialized.result).to.have.property('title', 'Hidden');
+			});
+		});
+
+	});
+
+	describe('multi-tenancy', function() {
+
+		const ForbiddenError = require('../lib/error').ForbiddenError;
+		const NotFoundError = require('../lib/error').NotFoundError;
+		const Project = database.models.Project;
+		const Note = database.models.Note;
+		const adapter = new RestAdapter(database.sequelize, undefined, {
+			tenant: {
+				attribute: 'tenantId'
+			}
+		});
+
+		before(function() {
+			return database.sequelize.sync({
+				force: true
+			});
+		});
+
+		it('should scope the records by the tenant of the context', function() {
+			let id;
+
+			return adapter.create('projects', {
+				name: 'Foo',
+				tenantId: 2
+			}, {}, {
+				tenant: 1
+			}).then(function(serialized) {
+				id = serialized.result.id;
+				expect(serialized.result).to.have.property('tenantId', 1);
+
+				return adapter.find('projects', {}, {}, {}, {
+					tenant: 2
+				});
+			}).then(function(serialized) {
+				assert.lengthOf(serialized.result, 0);
+
+				return expect(adapter.findById('projects', id, {}, {
+					tenant: 2
+				})).to.be.rejectedWith(NotFoundError);
+			}).then(function() {
+				return expect(adapter.update('projects', id, {
+					name: 'Bar'
+				}, {}, {
+					tenant: 2
+				})).to.be.rejectedWith(NotFoundError);
+			}).then(function() {
+				return expect(adapter.delete('projects', id, {}, {
+					tenant: 2
+				})).to.be.rejectedWith(NotFoundError);
+			}).then(function() {
+				return Project.findById(id);
+			}).then(function(project) {
+				expect(project.get()).to.have.property('name', 'Foo');
+				expect(project.get()).to.have.property('tenantId', 1);
+			});
+		});
+
+		it('should scope the subresources by the tenant of the context', function() {
+			return Project.create({
+				name: 'Foo',
+				tenantId: 1
+			}).then(function(project) {
+				return Note.create({
+					title: 'Note',
+					tenantId: 1,
+					ProjectId: project.get('id')
+				}).then(function() {
+					return expect(adapter.findSubResources('projects', project.get('id'), 'notes', {}, {
+						tenant: 2
+					})).to.be.rejectedWith(NotFoundError);
+				}).then(function() {
+					return adapter.findSubResources('projects', project.get('id'), 'notes', {}, {
+						tenant: 1
+					});
+				});
+			}).then(function(serialized) {
+				assert.lengthOf(serialized.result, 1);
+				expect(serialized.result[0]).to.have.property('title', 'Note');
+			});
+		});
+
+		it('should reject requests without a tenant', function() {
+			return expect(adapter.find('projects', {}, {}, {}, {})).to.be.rejectedWith(ForbiddenError, 'A tenant is required to access \'Project\'.');
+		});
+
+		it('should not associate records of another tenant', function() {
+			let project, note;
+
+			return Project.bulkCreate([{
+				name: 'Own',
+				tenantId: 1
+			}, {
+				name: 'Other',
+				tenantId: 2
+			}]).then(function() {
+				return Project.findAll({
+					order: [['id', 'ASC']]
+				});
+			}).then(function(projects) {
+				project = projects[projects.length - 2];
+
+				return Note.create({
+					title: 'Other',
+					tenantId: 2,
+					ProjectId: projects[projects.length - 1].get('id')
+				});
+			}).then(function(instance) {
+				note = instance;
+
+				return expect(adapter.update('projects', project.get('id'), {
+					Notes: [note.get('id')]
+				}, {}, {
+					tenant: 1
+				})).to.be.rejectedWith(NotFoundError, 'Can not find model \'Note\'.');
+			}).then(function() {
+				return expect(adapter.create('notes', {
+					title: 'Own',
+					Project: {
+						id: note.get('ProjectId')
+					}
+				}, {}, {
+					tenant: 1
+				})).to.be.rejectedWith(NotFoundError, 'Can not find model \'Project\'.');
+			}).then(function() {
+				return Note.findById(note.get('id'));
+			}).then(function(instance) {
+				expect(instance.get()).to.have.property('ProjectId', note.get('ProjectId'));
+				return Note.count({
+					where: {
+						title: 'Own'
+					}
+				});
+			}).then(function(count) {
+				assert.strictEqual(count, 0);
+			});
+		});
+
+	});
+
+	describe('primary keys', function() {
+
+		const Country = database.models.Country;
+		const Membership = database.models.Membership;
+
+		before(function() {
+			return database.sequelize.sync({
+				force: true
+			});
+		});
+
+		it('should find, update and delete records with a custom primary key', function() {
+			return Adapter.create('countries', {
+				code: 'NL',
+				name: 'Netherlands'
+			}).then(function(serialized) {
+				expect(serialized.result).to.have.property('code', 'NL');
+
+				return Adapter.update('countries', 'NL', {
+					name: 'Holland'
+				});
+			}).then(function(serialized) {
+				expect(serialized.result).to.have.property('name', 'Holland');
+
+				return Adapter.findById('countries', 'NL');
+			}).then(function(serialized) {
+				expect(serialized.result).to.have.property('name', 'Holland');
+
+				return Adapter.delete('countries', 'NL');
+			}).then(function() {
+				return Country.count();
+			}).then(function(count) {
+				assert.strictEqual(count, 0);
+			});
+		});
+
+		it('should find, update and delete records with a composite primary key', function() {
+			return Adapter.create('memberships', {
+				projectId: 1,
+				userId: 2,
+				role: 'member'
+			}).then(function(serialized) {
+				expect(serialized.result).to.have.property('role', 'member');
+
+				return Adapter.patch('memberships', '1~2', {
+					role: 'admin'
+				});
+			}).then(function(serialized) {
+				expect(serialized.result).to.have.property('role', 'admin');
+
+				return Adapter.findById('memberships', {
+					projectId: 1,
+					userId: 2
+				});
+			}).then(function(serialized) {
+				expect(serialized.result).to.have.property('role', 'admin');
+
+				return Adapter.delete('memberships', '1~2');
+			}).then(function() {
+				return Membership.count();
+			}).then(function(count) {
+				assert.strictEqual(count, 0);
+			});
+		});
+
+		it('should reject invalid composite ids', function() {
+			return expect(Adapter.findById('memberships', '1')).to.be.rejectedWith(BadRequestError,
+				'Invalid id \'1\' for model \'Membership\', expected values for \'projectId~userId\'.');
+		});
+
+		it('should key the ETags of a list by the composite id', function() {
+			const lockingAdapter = new RestAdapter(database.sequelize, undefined, {
+				optimisticLocking: true
+			});
+
+			return Membership.bulkCreate([{
+				projectId: 3,
+				userId: 1
+			}, {
+				projectId: 3,
+				userId: 2
+			}]).then(function() {
+				return lockingAdapter.find('memberships', {
+					projectId: '3'
+				});
+			}).then(function(serialized) {
+				assert.sameMembers(Object.keys(serialized.meta.etags), ['3~1', '3~2']);
+			});
+		});
+
+		it('should filter by the composite ids of an association', function() {
+			const Project = database.models.Project;
+
+			return Project.bulkCreate([{
+				id: 10,
+				name: 'First'
+			}, {
+				id: 11,
+				name: 'Second'
+			}]).then(function() {
+				return Membership.bulkCreate([{
+					projectId: 10,
+					userId: 1
+				}, {
+					projectId: 11,
+					userId: 2
+				}]);
+			}).then(function() {
+				return Adapter.find('projects', {
+					Memberships: '11~2'
+				});
+			}).then(function(serialized) {
+				assert.deepEqual(serialized.result.map((project) => project.name), ['Second']);
+
+				return Adapter.find('projects', {
+					Memberships: ['10~1', '11~2']
+				}, {
+					sort: 'id'
+				});
+			}).then(function(serialized) {
+				assert.deepEqual(serialized.result.map((project) => project.name), ['First', 'Second']);
+			});
+		});
+
+		it('should delete the subresources of a record with a composite primary key', function() {
+			const Note = database.models.Note;
+
+			return Membership.create({
+				projectId: 20,
+				userId: 1
+			}).then(function(membership) {
+				return Note.create({
+					title: 'Membership note',
+					MembershipProjectId: membership.get('projectId')
+				});
+			}).then(function() {
+				return Adapter.deleteSubResources('memberships', '20~1', 'notes', {});
+			}).then(function() {
+				return Note.count({
+					where: {
+						title: 'Membership note'
+					}
+				});
+			}).then(function(count) {
+				assert.strictEqual(count, 0);
+			});
+		});
+
 	});
 
 	describe('#create', function() {
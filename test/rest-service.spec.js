@@ -46,6 +46,112 @@ describe('RestService', function() {
 			expect(find).to.eventually.have.property("rows").notify(done);
 		});
 
+		it('should find models with operator filters', function(done) {
+			var find = Service.find(User, {
+				where: {
+					id: {
+						gt: '1'
+					},
+					'name[ne]': 'Foo Bar 2'
+				}
+			});
+
+			expect(find).to.eventually.have.property("count", 1);
+			expect(find).to.eventually.have.deep.property("rows[0].name", 'Foo Bar 1').notify(done);
+		});
+
+		it('should find models matching a case insensitive pattern', function(done) {
+			User.bulkCreate([{
+				name: '100% Foo'
+			}, {
+				name: '100 Foo'
+			}]).then(function() {
+				var find = Service.find(User, {
+					where: {
+						'name[like]': '%\\%%',
+						email: {
+							null: 'true'
+						}
+					}
+				});
+
+				expect(find).to.eventually.have.property("count", 1);
+				expect(find).to.eventually.have.deep.property("rows[0].name", '100% Foo').notify(done);
+			}, done);
+		});
+
+		it('should find models with a wildcard', function(done) {
+			var find = Service.find(User, {
+				where: {
+					name: 'FOO BAR%'
+				}
+			});
+
+			expect(find).to.eventually.have.property("count", 3).notify(done);
+		});
+
+		it('should be rejected for an unknown attribute', function(done) {
+			var find = Service.find(User, {
+				where: {
+					age: '18'
+				}
+			});
+
+			expect(find).to.be.rejectedWith('Unknown attribute \'age\' for \'User\'.').notify(done);
+		});
+
+		it('should find models sorted by multiple attributes', function(done) {
+			User.create({
+				name: 'Foo Bar 1',
+				email: 'bar@foo.com'
+			}).then(function() {
+				var find = Service.find(User, {
+					sort: '-name,email'
+				});
+
+				expect(find).to.eventually.have.deep.property("rows[0].name", 'Foo Bar 2');
+				expect(find).to.eventually.have.deep.property("rows[1].email", 'bar@foo.com');
+				expect(find).to.eventually.have.deep.property("rows[2].email", 'foo@bar.com').notify(done);
+			}, done);
+		});
+
+		it('should find models sorted by an association attribute', function(done) {
+			Task.bulkCreate([{
+				name: 'B',
+				UserId: 1
+			}, {
+				name: 'A',
+				UserId: 3
+			}]).then(function() {
+				var find = Service.find(Task, {
+					sort: '-user.name',
+					limit: 1
+				});
+
+				expect(find).to.eventually.have.property("count", 2);
+				expect(find).to.eventually.have.deep.property("rows[0].name", 'A');
+				expect(find).to.eventually.have.deep.property("rows[0].User.name", 'Foo Bar 2').notify(done);
+			}, done);
+		});
+
+		it('should be rejected for an unknown sort attribute', function(done) {
+			var find = Service.find(User, {
+				sort: 'name;DROP TABLE Users'
+			});
+
+			expect(find).to.be.rejectedWith('Unknown attribute \'name;DROP TABLE Users\' for \'User\' in sort \'name;DROP TABLE Users\'.').notify(done);
+		});
+
+		it('should find models with sparse fields', function(done) {
+			var find = Service.find(User, {
+				fields: 'name'
+			});
+
+			expect(find).to.eventually.have.property("count", 3);
+			expect(find).to.eventually.have.deep.property("rows[0].name", 'Foo Bar');
+			expect(find).to.eventually.have.deep.property("rows[0].email", undefined).notify(done);
+		});
+
 	});
 
 	describe('#findOne', function() {
@@ -186,7 +292,8 @@ describe('RestService', function() {
 				});
 			}).then((task) => {
 				return Service.findOne(Task, {
-					where: {id: task.get('id')}
+					where: {id: task.get('id')},
+					include: ['user']
 				});
 			});
 
@@ -216,7 +323,8 @@ describe('RestService', function() {
 				Tasks: [ { id: 5 } ]
 			}).then((user) => {
 				return Service.findOne(User, {
-					where: {id: user.get('id')}
+					where: {id: user.get('id')},
+					include: 'tasks'
 				});
 			});
 
@@ -225,12 +333,139 @@ describe('RestService', function() {
 			expect(promise).to.eventually.have.property("Tasks").to.be.empty.notify(done);
 		});
 
+		it('should be rejected with field errors for an invalid model', function() {
+			return Service.persist(User, {
+				email: 'foo'
+			}).then(function() {
+				throw new Error('Model should not be persisted');
+			}, function(error) {
+				expect(error).to.have.property('statusCode', 422);
+				assert.sameDeepMembers(error.errors, [{
+					path: 'name',
+					message: 'name cannot be null',
+					validator: 'notNull'
+				}, {
+					path: 'email',
+					message: 'Validation isEmail failed',
+					validator: 'isEmail'
+				}]);
+			});
+		});
+
+	});
+
+	describe('#patch', function() {
+
+		it('should change and save only the provided attributes', function() {
+			let fields;
+
+			User.addHook('beforeUpdate', 'spy', function(instance, options) {
+				fields = options.fields;
+			});
+
+			return Service.patch(User, 1, {
+				email: 'bar@foo.com'
+			}).then(function(user) {
+				assert.sameMembers(fields, ['email', 'updatedAt']);
+				return User.findById(user.get('id'));
+			}).then(function(user) {
+				expect(user).to.have.property('name', 'Foo Bar');
+				expect(user).to.have.property('email', 'bar@foo.com');
+			}).finally(function() {
+				User.removeHook('beforeUpdate', 'spy');
+			});
+		});
+
+		it('should change the provided associations', function() {
+			return Task.create({
+				name: 'Task'
+			}).then(function(task) {
+				return Service.patch(User, 2, {
+					Tasks: [task.get('id')]
+				});
+			}).then(function() {
+				return Service.findOne(User, {
+					where: {id: 2},
+					include: 'tasks'
+				});
+			}).then(function(user) {
+				expect(user).to.have.property('name', 'Foo Bar 1');
+				assert.lengthOf(user.Tasks, 1);
+			});
+		});
+
+		it('should only clear associations with the clearAssociations option', function() {
+			const countTasks = function() {
+				return Service.findOne(User, {
+					where: {id: 2},
+					include: 'tasks'
+				}).then((user) => user.Tasks.length);
+			};
+
+			return Task.create({
+				name: 'Task',
+				UserId: 2
+			}).then(function() {
+				return Service.patch(User, 2, {
+					Tasks: []
+				});
+			}).then(function() {
+				return countTasks();
+			}).then(function(count) {
+				assert.strictEqual(count, 1);
+
+				return Service.patch(User, 2, {
+					Tasks: []
+				}, {
+					clearAssociations: true
+				});
+			}).then(function() {
+				return countTasks();
+			}).then(function(count) {
+				assert.strictEqual(count, 0);
+			});
+		});
+
+		it('should be rejected for a missing model', function() {
+			return assert.isRejected(Service.patch(User, 10, {
+				name: 'Foo'
+			}), 'Can not find model \'User\'.');
+		});
+
+	});
+
+	describe('#replace', function() {
+
+		it('should reset omitted nullable attributes', function() {
+			return Service.replace(User, 1, {
+				name: 'Bar'
+			}).then(function() {
+				return User.findById(1);
+			}).then(function(user) {
+				expect(user).to.have.property('name', 'Bar');
+				expect(user).to.have.property('email', null);
+			});
+		});
+
+		it('should not reset attributes which are not nullable', function() {
+			return Service.replace(User, 1, {
+				email: 'bar@foo.com'
+			}).then(function() {
+				return User.findById(1);
+			}).then(function(user) {
+				expect(user).to.have.property('name', 'Foo Bar');
+				expect(user).to.have.property('email', 'bar@foo.com');
+			});
+		});
+
 	});
 
 	describe('#populate', function() {
 
 		it('should find Task association', function() {
-			var query = {};
+			var query = {
+				include: 'tasks'
+			};
 			Service.populate(database.models.User, query);
 
 			assert.lengthOf(query.include, 1, 'Should contain one association');
@@ -239,7 +474,9 @@ describe('RestService', function() {
 		});
 
 		it('should find User association', function() {
-			var query = {};
+			var query = {
+				include: ['User']
+			};
 			Service.populate(database.models.Task, query);
 
 			assert.lengthOf(query.include, 1, 'Should contain one association');
@@ -247,6 +484,37 @@ describe('RestService', function() {
 			expect(query.include[0]).to.have.deep.property('model', database.models.User);
 		});
 
+		it('should find nested associations', function() {
+			var query = {
+				include: 'tasks,tasks.user'
+			};
+			Service.populate(database.models.User, query);
+
+			assert.lengthOf(query.include, 1, 'Should contain one association');
+			assert.lengthOf(query.include[0].include, 1, 'Should contain one nested association');
+			expect(query.include[0].include[0]).to.have.deep.property('as', 'User');
+			expect(query.include[0].include[0]).to.have.deep.property('model', database.models.User);
+		});
+
+		it('should include associations used as filters', function() {
+			var query = {
+				where: {
+					Tasks: 1
+				}
+			};
+			Service.populate(database.models.User, query);
+
+			assert.lengthOf(query.include, 1, 'Should contain one association');
+			assert.deepEqual(query.include[0].where, {id: 1});
+		});
+
+		it('should not include associations by default', function() {
+			var query = {};
+			Service.populate(database.models.User, query);
+
+			assert.lengthOf(query.include, 0, 'Should contain no associations');
+		});
+
 		it('should find no associations', function() {
 			var query = {};
 			Service.populate(database.models.Foo, query);
@@ -254,6 +522,40 @@ describe('RestService', function() {
 			assert.lengthOf(query.include, 0, 'Should contain no associations');
 		});
 
+		it('should throw an error for raw queries in filters', function() {
+			expect(function() {
+				Service.populate(database.models.User, {
+					where: {
+						name: {
+							eq: {
+								$raw: '1 OR 1=1 OR 1'
+							}
+						}
+					}
+				});
+			}).to.throw('Invalid value for attribute \'name\'.').with.property('statusCode', 400);
+		});
+
+		it('should throw an error for raw queries in association filters', function() {
+			expect(function() {
+				Service.populate(database.models.User, {
+					where: {
+						Tasks: {
+							$raw: '1 OR 1=1 OR 1'
+						}
+					}
+				});
+			}).to.throw('Invalid value for attribute \'id\'.').with.property('statusCode', 400);
+		});
+
+		it('should throw an error for an unknown association', function() {
+			expect(function() {
+				Service.populate(database.models.User, {
+					include: 'tasks.foo'
+				});
+			}).to.throw('Unknown association \'foo\' for \'Task\' in include \'tasks.foo\'.').with.property('statusCode', 400);
+		});
+
 	});
 
 	// Delete the database file, just in case :)
@@ -361,6 +361,25 @@ describe('REST', function() {
 			
 		});
 
+		it('should not delete subResources with raw queries', function(done) {
+			createUser().then((user) => {
+				return createTask(user).then(() => {
+					request(server.app)
+						.del('/users/' + user.get('id') +  '/tasks/?name[$raw]=' + encodeURIComponent('\'x\' OR 1=1 OR 1'))
+						.expect(400)
+						.end((error) => {
+							if (error) {
+								return done(error);
+							}
+
+							server.models.Task.count().then((count) => {
+								assert.strictEqual(count, 1);
+							}).then(() => done(), done);
+						});
+				});
+			}).catch(done);
+		});
+
 		it('should delete subResource with id', function(done) {
 			createUser().then((user) => {
 				return createTask(user).then((task) => {
@@ -503,6 +522,16 @@ describe('REST', function() {
 			request(server.app)
 				.del('/users/10')
 				.expect(404)
+				.expect('Content-Type', /application\/problem\+json/)
+				.expect(function(res) {
+					assert.deepEqual(res.body, {
+						type: 'about:blank',
+						title: 'Not Found',
+						status: 404,
+						detail: 'Can not find model \'User\'.',
+						instance: '/users/10'
+					});
+				})
 				.end(done);
 		});
 
@@ -0,0 +1,246 @@
+/* globals describe, it, before, after, afterEach */
+/* jshint unused:vars */
+"use strict";
+
+const chai = require('chai');
+const express = require('express');
+const parser = require('body-parser');
+const request = require('supertest');
+const server = require('./server');
+const RestAdapter = require('../lib/rest-adapter');
+const createRouter = require('../lib/bindings').createRouter;
+
+const assert = chai.assert;
+const expect = chai.expect;
+
+let database, User, Task;
+
+function createApp(options) {
+	const app = express();
+
+	app.use(parser.json());
+	app.use(createRouter(new RestAdapter(database.sequelize), options));
+
+	app.use(function(error, req, res, next) {
+		return res.status(error.statusCode || 500).json({
+			message: error.message
+		});
+	});
+
+	return app;
+}
+
+describe('Router', function() {
+
+	let app;
+
+	before(function(done) {
+		database = server.connect('router.sqlite');
+		User = database.models.User;
+		Task = database.models.Task;
+
+		app = createApp({
+			exclude: ['foos'],
+			actions: {
+				tasks: ['find', 'findById']
+			}
+		});
+
+		database.sequelize.sync({
+			force: true
+		}).then(function() {
+			done();
+		}, done);
+	});
+
+	describe('#createRouter', function() {
+
+		it('should throw an error without an adapter', function() {
+			assert.throw(function() {
+				createRouter();
+			}, 'You must pass a RestAdapter instance when creating a RequestHandler.');
+		});
+
+		it('should throw an error for an unknown action', function() {
+			assert.throw(function() {
+				createApp({
+					actions: ['find', 'upsert']
+				});
+			}, 'Unknown action \'upsert\' for resource');
+		});
+
+		it('should not mount excluded resources', function(done) {
+			request(app).get('/foos').expect(404).end(done);
+		});
+
+		it('should only mount included resources', function(done) {
+			request(createApp({
+				include: ['Tasks']
+			})).get('/users').expect(404).end(done);
+		});
+
+		it('should not mount disabled actions', function(done) {
+			request(app).post('/tasks').send({
+				name: 'Task'
+			}).expect(404).end(done);
+		});
+	});
+
+	describe('#routes', function() {
+
+		it('should return a paginated list filtered by the query', function(done) {
+			User.bulkCreate([{
+				name: 'Foo Bar',
+				email: 'foo@bar.com'
+			}, {
+				name: 'Foo Bar 1',
+				email: 'foo1@bar.com'
+			}]).then(function() {
+				request(app).get('/users?email=foo1@bar.com&page=1&size=1')
+					.expect(200)
+					.expect(function(res) {
+						assert.lengthOf(res.body.result, 1, 'Result should contain 1 model');
+						expect(res.body.result[0]).to.have.property('name', 'Foo Bar 1');
+						expect(res.body).to.have.deep.property('meta.totalSize', 1);
+					})
+					.end(done);
+			}, done);
+		});
+
+		it('should create a model', function(done) {
+			request(app).post('/users')
+				.send({
+					name: 'New User'
+				})
+				.expect(201)
+				.expect(function(res) {
+					expect(res.body.result).to.have.property('name', 'New User');
+				})
+				.end(done);
+		});
+
+		it('should find and update a model', function(done) {
+			User.create({
+				name: 'Foo'
+			}).then(function(user) {
+				request(app).put('/users/' + user.get('id'))
+					.send({
+						name: 'Bar'
+					})
+					.expect(200)
+					.end(function(error) {
+						if (error) {
+							return done(error);
+						}
+
+						request(app).get('/users/' + user.get('id'))
+							.expect(200)
+							.expect(function(res) {
+								expect(res.body.result).to.have.property('name', 'Bar');
+							})
+							.end(done);
+					});
+			}, done);
+		});
+
+		it('should delete a model', function(done) {
+			User.create({
+				name: 'Foo'
+			}).then(function(user) {
+				request(app).del('/users/' + user.get('id'))
+					.expect(204)
+					.end(done);
+			}, done);
+		});
+
+		it('should find subresources', function(done) {
+			User.create({
+				name: 'Foo'
+			}).then(function(user) {
+				return Task.create({
+					name: 'Task',
+					UserId: user.get('id')
+				}).then(function(task) {
+					request(app).get('/users/' + user.get('id') + '/tasks/' + task.get('id'))
+						.expect(200)
+						.expect(function(res) {
+							expect(res.body.result).to.have.property('name', 'Task');
+						})
+						.end(done);
+				});
+			}).catch(done);
+		});
+
+		it('should delete subresources', function(done) {
+			User.create({
+				name: 'Foo'
+			}).then(function(user) {
+				return Task.bulkCreate([{
+					name: 'First',
+					UserId: user.get('id')
+				}, {
+					name: 'Second',
+					UserId: user.get('id')
+				}]).then(function() {
+					return Task.findOne({
+						where: {
+							name: 'First'
+						}
+					});
+				}).then(function(task) {
+					request(app).del('/users/' + user.get('id') + '/tasks/' + task.get('id'))
+						.expect(204)
+						.expect(function(res) {
+							assert.deepEqual(res.body, {});
+						})
+						.end(function(error) {
+							if (error) {
+								return done(error);
+							}
+
+							request(app).del('/users/' + user.get('id') + '/tasks?name=Second')
+								.expect(204)
+								.end(function(error) {
+									if (error) {
+										return done(error);
+									}
+
+									Task.count().then(function(count) {
+										assert.strictEqual(count, 0);
+									}).then(function() {
+										done();
+									}, done);
+								});
+						});
+				});
+			}).catch(done);
+		});
+
+		it('should respond with an error', function(done) {
+			request(app).get('/users/100')
+				.expect(404)
+				.expect(function(res) {
+					expect(res.body).to.have.property('message', 'Can not find model \'User\'.');
+				})
+				.end(done);
+		});
+
+		afterEach(function(done) {
+			Task.destroy({
+				where: {}
+			}).then(function() {
+				return User.destroy({
+					where: {}
+				});
+			}).then(function() {
+				done();
+			}, done);
+		});
+	});
+
+	// Delete the database file, just in case :)
+	after(function(done) {
+		require('fs').unlink(__dirname + '/router.sqlite', done);
+	});
+
+});
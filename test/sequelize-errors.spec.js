@@ -0,0 +1,86 @@
+/* globals describe, it */
+"use strict";
+
+const chai = require('chai');
+const Sequelize = require('sequelize');
+const RestError = require('../lib/error');
+const mapError = require('../lib/sequelize-errors').mapError;
+
+const assert = chai.assert;
+const expect = chai.expect;
+
+describe('SequelizeErrors', function() {
+
+	describe('#mapError', function() {
+
+		it('should map validation errors', function() {
+			const error = mapError(new Sequelize.ValidationError('Validation error', [
+				new Sequelize.ValidationErrorItem('name cannot be null', 'notNull Violation', 'name', null),
+				new Sequelize.ValidationErrorItem('Validation isEmail failed', 'Validation error', 'email', 'foo')
+			]));
+
+			assert.instanceOf(error, RestError.UnprocessableEntityError);
+			expect(error).to.have.property('statusCode', 422);
+			assert.deepEqual(error.errors, [{
+				path: 'name',
+				message: 'name cannot be null',
+				validator: 'notNull'
+			}, {
+				path: 'email',
+				message: 'Validation isEmail failed',
+				validator: 'isEmail'
+			}]);
+		});
+
+		it('should map unique constraint errors', function() {
+			const error = mapError(new Sequelize.UniqueConstraintError({
+				errors: [
+					new Sequelize.ValidationErrorItem('email must be unique', 'unique violation', 'email', 'foo@bar.com')
+				]
+			}));
+
+			expect(error).to.have.property('statusCode', 409);
+			expect(error).to.have.property('message', 'Unique constraint violated for \'email\'.');
+			assert.deepEqual(error.errors, [{
+				path: 'email',
+				message: 'email must be unique',
+				validator: 'unique'
+			}]);
+		});
+
+		it('should map foreign key constraint errors', function() {
+			const error = new Sequelize.ForeignKeyConstraintError({
+				fields: ['UserId']
+			});
+
+			expect(mapError(error, 'persist')).to.have.property('statusCode', 400);
+			assert.deepEqual(mapError(error, 'persist').errors, [{
+				path: 'UserId',
+				message: 'UserId references a missing record',
+				validator: 'foreignKey'
+			}]);
+
+			expect(mapError(error, 'delete')).to.have.property('statusCode', 409);
+			expect(mapError(error, 'delete')).to.have.property('message', 'Record is still referenced by other records.');
+		});
+
+		it('should map database errors', function() {
+			const original = new Sequelize.DatabaseError(new Error('SQLITE_ERROR: no such table: Bars'));
+			const error = mapError(original);
+
+			expect(error).to.have.property('statusCode', 500);
+			assert.deepEqual(error.errors, []);
+			assert.strictEqual(error.cause, original);
+		});
+
+		it('should not map other errors', function() {
+			const error = new Error('Foo');
+			const restError = new RestError('Bar', 400);
+
+			assert.strictEqual(mapError(error), error);
+			assert.strictEqual(mapError(restError), restError);
+		});
+
+	});
+
+});
@@ -6,10 +6,10 @@ var Sequelize = require('sequelize'),
 	RestSequelize = require('..'),
 	Models = {};
 
-function connect() {
+function connect(storage) {
 	var sequelize = new Sequelize('database', 'user', 'pass', {
 		dialect: 'sqlite',
-		storage: __dirname + '/database.sqlite'
+		storage: __dirname + '/' + (storage || 'database.sqlite')
 	});
 
 	Models = models(sequelize);
@@ -35,13 +35,18 @@ module.exports.createServer = function() {
 
 	app.use(parser.json());
 
-	var Adapter = new RestSequelize.RestAdapter(DB.sequelize);
+	var Adapter = new RestSequelize.RestAdapter(DB.sequelize, undefined, {
+		includes: {
+			users: 'tasks',
+			tasks: 'user'
+		}
+	});
 
 	app.get('/users', function(req, res, next) {
 		const query = resolveQuery(req);
 		const pageable = resolvePageable(req);
 
-		Adapter.find(Models.User, query, pageable).then(function(users) {
+		Adapter.find(DB.models.User, query, pageable).then(function(users) {
 			return res.json(users);
 		}).catch(next);
 	});
@@ -116,7 +121,13 @@ module.exports.createServer = function() {
 	app.use(function(error, req, res, next) {
 		console.log(error.stack);
 
-		return res.status(error.statusCode || 500).json(error);
+		if (!(error instanceof RestSequelize.RestError)) {
+			error = new RestSequelize.RestError('Internal Server Error', 500);
+		}
+
+		return res.status(error.statusCode).type('application/problem+json').json(error.toProblemJSON({
+			instance: req.originalUrl
+		}));
 	});
 
 	DB.app = app;
@@ -0,0 +1,127 @@
+/* globals describe, it */
+"use strict";
+
+const chai = require('chai');
+const database = require('./server').connect();
+const sort = require('../lib/sort');
+
+const assert = chai.assert;
+const expect = chai.expect;
+
+const User = database.models.User;
+const Task = database.models.Task;
+
+describe('Sort', function() {
+
+	describe('#parseSort', function() {
+
+		it('should parse sort directions', function() {
+			assert.deepEqual(sort.parseSort('-createdAt, name,+email'), [{
+				path: 'createdAt',
+				direction: 'DESC'
+			}, {
+				path: 'name',
+				direction: 'ASC'
+			}, {
+				path: 'email',
+				direction: 'ASC'
+			}]);
+		});
+
+		it('should use the default direction', function() {
+			assert.deepEqual(sort.parseSort(['name', '+id'], 'desc'), [{
+				path: 'name',
+				direction: 'DESC'
+			}, {
+				path: 'id',
+				direction: 'ASC'
+			}]);
+		});
+
+		it('should parse an empty sort', function() {
+			assert.deepEqual(sort.parseSort(undefined), []);
+			assert.deepEqual(sort.parseSort(''), []);
+		});
+
+		it('should throw an error for an unknown direction', function() {
+			expect(function() {
+				sort.parseSort('name', 'name; DROP TABLE Users');
+			}).to.throw('Unknown sort direction \'NAME; DROP TABLE USERS\'.').with.property('statusCode', 400);
+		});
+
+		it('should parse sort entries passed as Objects', function() {
+			assert.deepEqual(sort.parseSort([{
+				path: 'name',
+				direction: 'desc'
+			}, {
+				path: 'id'
+			}]), [{
+				path: 'name',
+				direction: 'DESC'
+			}, {
+				path: 'id',
+				direction: 'ASC'
+			}]);
+		});
+
+		it('should throw an error for an invalid sort entry Object', function() {
+			expect(function() {
+				sort.parseSort([{
+					direction: 'ASC'
+				}]);
+			}).to.throw('Invalid sort entry \'{"direction":"ASC"}\', expected a path.').with.property('statusCode', 400);
+
+			expect(function() {
+				sort.parseSort([{
+					path: 'name',
+					direction: 'sideways'
+				}]);
+			}).to.throw('Unknown sort direction \'SIDEWAYS\'.').with.property('statusCode', 400);
+		});
+
+	});
+
+	describe('#buildOrder', function() {
+
+		it('should build the order for attributes', function() {
+			assert.deepEqual(sort.buildOrder(User, sort.parseSort('-createdAt,name')), [
+				['createdAt', 'DESC'],
+				['name', 'ASC']
+			]);
+		});
+
+		it('should build the order for association attributes', function() {
+			assert.deepEqual(sort.buildOrder(User, sort.parseSort('-tasks.user.name')), [
+				[{
+					model: Task,
+					as: 'Tasks'
+				}, {
+					model: User,
+					as: 'User'
+				}, 'name', 'DESC']
+			]);
+		});
+
+		it('should throw an error for an unknown attribute', function() {
+			expect(function() {
+				sort.buildOrder(User, sort.parseSort('name DESC'));
+			}).to.throw('Unknown attribute \'name DESC\' for \'User\' in sort \'name DESC\'.').with.property('statusCode', 400);
+		});
+
+		it('should throw an error for an unknown association', function() {
+			expect(function() {
+				sort.buildOrder(User, sort.parseSort('projects.name'));
+			}).to.throw('Unknown association \'projects\' for \'User\' in sort \'projects.name\'.').with.property('statusCode', 400);
+		});
+
+	});
+
+	describe('#includePaths', function() {
+
+		it('should return the association paths', function() {
+			assert.deepEqual(sort.includePaths(sort.parseSort('name,tasks.name,-tasks.type,tasks.user.id')), ['tasks', 'tasks.user']);
+		});
+
+	});
+
+});